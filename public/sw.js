@@ -0,0 +1,139 @@
+// public/sw.js
+// Keeps the app shell and sounds saved for offline available without a network.
+
+const SHELL_CACHE = "sound-explores-shell-v1";
+// Filled by the page (src/utils/offline-sounds.js), only read here
+const OFFLINE_SOUNDS_CACHE = "sound-explores-offline-sounds";
+const AUDIO_FILE_PATTERN = /\.(mp3|wav|ogg|oga|m4a|aac|webm|flac)$/i;
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(SHELL_CACHE)
+      .then((cache) => cache.add("/"))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((names) =>
+        Promise.all(
+          names
+            .filter(
+              (name) =>
+                name.startsWith("sound-explores-shell-") && name !== SHELL_CACHE
+            )
+            .map((name) => caches.delete(name))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+/**
+ * Serve a cached full file for a Range request. Audio elements seek with
+ * ranges and won't play a 200 response to one in every browser.
+ */
+const toRangeResponse = async (request, response) => {
+  const range = request.headers.get("range");
+  if (!range) return response;
+
+  const blob = await response.blob();
+  const match = /bytes=(\d*)-(\d*)/.exec(range);
+  if (!match) return response;
+
+  let start;
+  let end;
+  if (match[1] === "") {
+    // Suffix range: the last N bytes
+    start = Math.max(0, blob.size - Number(match[2]));
+    end = blob.size - 1;
+  } else {
+    start = Number(match[1]);
+    end = match[2] === "" ? blob.size - 1 : Number(match[2]);
+  }
+  end = Math.min(end, blob.size - 1);
+
+  if (start > end) {
+    return new Response(null, {
+      status: 416,
+      headers: { "Content-Range": `bytes */${blob.size}` },
+    });
+  }
+
+  return new Response(blob.slice(start, end + 1), {
+    status: 206,
+    statusText: "Partial Content",
+    headers: {
+      "Content-Type": response.headers.get("Content-Type") || blob.type,
+      "Content-Range": `bytes ${start}-${end}/${blob.size}`,
+      "Content-Length": String(end - start + 1),
+      "Accept-Ranges": "bytes",
+    },
+  });
+};
+
+// Saved sounds never change, so the saved copy is served straight away; a
+// flaky or captive network can't stall playback or answer with an error page
+const handleSavedSound = (request, cached) => toRangeResponse(request, cached);
+
+// Page loads: the network first so deploys show up, the shell when offline
+const handleNavigation = async (request) => {
+  const cache = await caches.open(SHELL_CACHE);
+  try {
+    const response = await fetch(request);
+    if (response.ok) cache.put("/", response.clone());
+    return response;
+  } catch (error) {
+    return (await cache.match("/")) || Response.error();
+  }
+};
+
+// Built assets have content hashes in their names, so a cached copy never
+// goes stale
+const handleAsset = async (request) => {
+  const cache = await caches.open(SHELL_CACHE);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok) cache.put(request, response.clone());
+  return response;
+};
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+
+  const url = new URL(request.url);
+
+  if (request.mode === "navigate") {
+    event.respondWith(handleNavigation(request));
+    return;
+  }
+
+  if (
+    url.origin === self.location.origin &&
+    url.pathname.startsWith("/assets/")
+  ) {
+    event.respondWith(handleAsset(request));
+    return;
+  }
+
+  // <audio> elements and Web Audio fetches of sound files
+  const isSoundRequest =
+    request.destination === "audio" || AUDIO_FILE_PATTERN.test(url.pathname);
+  if (!isSoundRequest) return;
+
+  event.respondWith(
+    caches
+      .open(OFFLINE_SOUNDS_CACHE)
+      .then((cache) => cache.match(request.url))
+      .then((cached) =>
+        cached ? handleSavedSound(request, cached) : fetch(request)
+      )
+  );
+});
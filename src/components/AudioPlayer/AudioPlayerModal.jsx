@@ -12,27 +12,115 @@ import {
   SkipForward,
   Repeat,
   RefreshCw,
+  RotateCcw,
+  Moon,
 } from "lucide-react";
+import toast from "react-hot-toast";
 import { Button } from "../ui/button";
+import { useAudioPlayer } from "../../contexts/AudioPlayerContext";
+import { useMediaSession } from "../../hooks/useMediaSession";
+import {
+  SLEEP_TIMER_MINUTES,
+  useSleepTimer,
+} from "../../hooks/useSleepTimer";
+import Waveform from "./Waveform";
+import SpectrumVisualizer from "./SpectrumVisualizer";
+import { getOfflineSoundObjectUrl } from "../../utils/offline-sounds";
+import {
+  clearResumePosition,
+  loadPlayerPreferences,
+  loadResumePosition,
+  savePlayerPreferences,
+  saveResumePosition,
+} from "../../utils/player-preferences";
+import { MAX_PITCH_SEMITONES } from "../../lib/pitch-shifter";
+import {
+  isElementRouted,
+  prepareElementRouting,
+  releaseElement,
+  setElementPitch,
+} from "../../lib/element-audio-graph";
+
+// Minimum length of an A–B region, so it can't collapse to nothing
+const MIN_LOOP_LENGTH = 0.1;
+// How often the resume position is saved while playing
+const POSITION_SAVE_INTERVAL = 5000;
+
+// Older Safari and Firefox only know the prefixed names
+const setPreservesPitch = (audio, preservesPitch) => {
+  audio.preservesPitch = preservesPitch;
+  audio.webkitPreservesPitch = preservesPitch;
+  audio.mozPreservesPitch = preservesPitch;
+};
+
+const formatSemitones = (semitones) =>
+  semitones > 0 ? `+${semitones}` : `${semitones}`;
+
+const AudioPlayerModal = ({
+  audioUrl,
+  onClose,
+  autoplay = true,
+  title = "Poop Alert Sound",
+  category,
+  onNextTrack,
+}) => {
+  // Volume, mute and speed carry over from the last time the player was used
+  const [savedPreferences] = useState(loadPlayerPreferences);
 
-const AudioPlayerModal = ({ audioUrl, onClose, autoplay = true }) => {
   // Core audio states
   const [isPlaying, setIsPlaying] = useState(false);
   const [duration, setDuration] = useState(0);
   const [currentTime, setCurrentTime] = useState(0);
-  const [volume, setVolume] = useState(1);
-  const [isMuted, setIsMuted] = useState(false);
+  const [volume, setVolume] = useState(savedPreferences.volume);
+  const [isMuted, setIsMuted] = useState(savedPreferences.isMuted);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [loop, setLoop] = useState(false);
-  const [playbackRate, setPlaybackRate] = useState(1);
+  const [playbackRate, setPlaybackRate] = useState(
+    savedPreferences.playbackRate
+  );
+  // Speed changes keep the pitch unless the user wants the chipmunk effect
+  const [preservesPitch, setPreservesPitchState] = useState(true);
+  const [pitchSemitones, setPitchSemitones] = useState(0);
+  const [showPitchControls, setShowPitchControls] = useState(false);
+  const [showSleepTimer, setShowSleepTimer] = useState(false);
   const [showAutoplayPrompt, setShowAutoplayPrompt] = useState(false);
   const [userInteracted, setUserInteracted] = useState(false);
+  // A–B loop points in seconds; the region loops once B is set
+  const [loopStart, setLoopStart] = useState(null);
+  const [loopEnd, setLoopEnd] = useState(null);
+  const [draggingMarker, setDraggingMarker] = useState(null);
+  // Where the user left off last time, offered until they choose
+  const [resumePosition, setResumePosition] = useState(null);
 
   // References
+  const { stop: stopSharedPlayback } = useAudioPlayer();
   const audioRef = useRef(null);
+  // Our own element: pitch shifting and the visualizer route it through
+  // Web Audio for good, which the app-wide player must never be
+  const [audioElement, setAudioElement] = useState(null);
   const progressBarRef = useRef(null);
   const autoplayTriesRef = useRef(0);
+  // Read by the audio event listeners, which are only attached per URL
+  const loopRef = useRef(loop);
+  loopRef.current = loop;
+  const loopRegionRef = useRef(null);
+  loopRegionRef.current =
+    loopEnd !== null ? { start: loopStart ?? 0, end: loopEnd } : null;
+
+  const {
+    sleepTimer,
+    remainingSeconds: sleepRemainingSeconds,
+    startSleepTimer,
+    startEndOfTrackTimer,
+    cancelSleepTimer,
+    finishSleepTimer,
+    stopsAtTrackEnd,
+  } = useSleepTimer({
+    audioRef,
+    volume: isMuted ? 0 : volume,
+    loopRegionRef,
+  });
 
   // Enhanced autoplay function with multiple strategies
   const attemptAutoplay = async () => {
@@ -48,12 +136,12 @@ const AudioPlayerModal = ({ audioUrl, onClose, autoplay = true }) => {
       if (playPromise !== undefined) {
         await playPromise;
 
-        // If muted autoplay succeeds, try to unmute after a brief delay
+        // If muted autoplay succeeds, try to unmute after a brief delay,
+        // unless the user had muted the player last time
         setTimeout(() => {
           if (audioRef.current && !audioRef.current.paused) {
-            audioRef.current.muted = false;
-            audioRef.current.volume = volume;
-            setIsMuted(false);
+            audioRef.current.muted = isMuted;
+            audioRef.current.volume = isMuted ? 0 : volume;
             setIsPlaying(true);
             setShowAutoplayPrompt(false);
           }
@@ -81,13 +169,13 @@ const AudioPlayerModal = ({ audioUrl, onClose, autoplay = true }) => {
     }
   };
 
-  // Force play with full volume
+  // Force play at the user's volume
   const forcePlay = async () => {
     if (!audioRef.current) return;
 
     try {
-      audioRef.current.muted = false;
-      audioRef.current.volume = volume;
+      audioRef.current.muted = isMuted;
+      audioRef.current.volume = isMuted ? 0 : volume;
 
       const playPromise = audioRef.current.play();
 
@@ -103,14 +191,39 @@ const AudioPlayerModal = ({ audioUrl, onClose, autoplay = true }) => {
   };
 
   useEffect(() => {
-    const audio = new Audio();
-    audioRef.current = audio;
+    const audio = audioElement;
+    if (!audio) return;
+
+    // Stop the app-wide player so nothing plays on top of us
+    stopSharedPlayback();
+
+    // Set when playing the saved copy because the network failed
+    let offlineUrl = null;
+    let isCleanedUp = false;
+    let lastPositionSavedAt = 0;
 
-    // Set audio properties
+    const savePosition = () =>
+      saveResumePosition(audioUrl, audio.currentTime, audio.duration);
+
+    setResumePosition(loadResumePosition(audioUrl));
+
+    // Set audio properties. Loop and speed changes are applied to the element
+    // directly, so they aren't dependencies and don't reload the track.
+    // CORS is only asked for once Web Audio has taken over the element, as
+    // it would otherwise play silence; hosts without CORS headers still play
+    if (isElementRouted(audio)) {
+      audio.crossOrigin = "anonymous";
+    } else {
+      audio.removeAttribute("crossorigin");
+    }
     audio.src = audioUrl;
-    audio.volume = volume;
-    audio.loop = loop;
+    audio.muted = isMuted;
+    audio.volume = isMuted ? 0 : volume;
+    audio.loop = loopRef.current && !stopsAtTrackEnd();
+    // Loading a new source resets the rate to the default one
+    audio.defaultPlaybackRate = playbackRate;
     audio.playbackRate = playbackRate;
+    setPreservesPitch(audio, preservesPitch);
     audio.preload = "auto";
 
     // Try to enable autoplay attributes (limited browser support)
@@ -141,16 +254,46 @@ const AudioPlayerModal = ({ audioUrl, onClose, autoplay = true }) => {
 
     const onTimeUpdate = () => {
       setCurrentTime(audio.currentTime);
+
+      if (Date.now() - lastPositionSavedAt > POSITION_SAVE_INTERVAL) {
+        lastPositionSavedAt = Date.now();
+        savePosition();
+      }
     };
 
     const onEnded = () => {
-      if (!loop) {
+      if (stopsAtTrackEnd()) {
+        finishSleepTimer();
+        setIsPlaying(false);
+        return;
+      }
+      // B at the very end of the track: wrap back to A instead of stopping
+      if (loopRegionRef.current) {
+        audio.currentTime = loopRegionRef.current.start;
+        audio.play().catch(() => {});
+        return;
+      }
+      if (!loopRef.current) {
         setIsPlaying(false);
         setCurrentTime(0);
+        clearResumePosition(audioUrl);
       }
     };
 
-    const onError = (e) => {
+    const onError = async (e) => {
+      // Fall back to a copy saved for offline, if there is one
+      if (!offlineUrl) {
+        offlineUrl = await getOfflineSoundObjectUrl(audioUrl);
+        if (isCleanedUp) {
+          if (offlineUrl) URL.revokeObjectURL(offlineUrl);
+          return;
+        }
+        if (offlineUrl) {
+          audio.src = offlineUrl;
+          return;
+        }
+      }
+
       console.error("Audio loading error:", e);
       setLoading(false);
       setError("Failed to load audio. Please try again.");
@@ -163,6 +306,7 @@ const AudioPlayerModal = ({ audioUrl, onClose, autoplay = true }) => {
 
     const onPause = () => {
       setIsPlaying(false);
+      savePosition();
     };
 
     const onLoadStart = () => {
@@ -181,6 +325,10 @@ const AudioPlayerModal = ({ audioUrl, onClose, autoplay = true }) => {
 
     // Clean up
     return () => {
+      isCleanedUp = true;
+      if (offlineUrl) URL.revokeObjectURL(offlineUrl);
+      // The pause event below arrives after the listeners are gone
+      savePosition();
       audio.pause();
       audio.currentTime = 0;
       audio.removeEventListener("loadedmetadata", onLoadedMetadata);
@@ -192,11 +340,69 @@ const AudioPlayerModal = ({ audioUrl, onClose, autoplay = true }) => {
       audio.removeEventListener("pause", onPause);
       audio.removeEventListener("loadstart", onLoadStart);
     };
-  }, [audioUrl, loop, playbackRate, autoplay]);
+  }, [audioElement, audioUrl, autoplay]);
+
+  // Declared after the effect above so its cleanup still sees the loaded
+  // sound when saving the position
+  useEffect(() => {
+    const audio = new Audio();
+    audioRef.current = audio;
+    setAudioElement(audio);
+
+    return () => {
+      audio.pause();
+      audio.removeAttribute("src");
+      audio.load();
+      releaseElement(audio);
+      if (audioRef.current === audio) audioRef.current = null;
+    };
+  }, []);
+
+  // A new sound starts without a loop region
+  useEffect(() => {
+    setLoopStart(null);
+    setLoopEnd(null);
+  }, [audioUrl]);
+
+  // timeupdate fires only a few times a second, far too late to loop a short
+  // region cleanly, so check the position every frame while playing
+  useEffect(() => {
+    if (loopEnd === null || !isPlaying || !audioRef.current) return;
+
+    const audio = audioRef.current;
+    let frameId;
+    const tick = () => {
+      if (audio.currentTime >= loopEnd) {
+        // The sleep timer stops here instead of going round again
+        if (stopsAtTrackEnd()) {
+          finishSleepTimer();
+          return;
+        }
+        audio.currentTime = loopStart ?? 0;
+        setCurrentTime(audio.currentTime);
+      }
+      frameId = requestAnimationFrame(tick);
+    };
+    frameId = requestAnimationFrame(tick);
+
+    return () => cancelAnimationFrame(frameId);
+  }, [loopStart, loopEnd, isPlaying]);
+
+  // An end-of-track sleep timer needs the track to actually end
+  useEffect(() => {
+    if (audioRef.current) {
+      audioRef.current.loop = loop && sleepTimer?.type !== "track";
+    }
+  }, [loop, sleepTimer]);
+
+  useEffect(() => {
+    savePlayerPreferences({ volume, isMuted, playbackRate });
+  }, [volume, isMuted, playbackRate]);
 
   // Effect for volume changes
   useEffect(() => {
     if (audioRef.current) {
+      audioRef.current.muted = isMuted;
       audioRef.current.volume = isMuted ? 0 : volume;
     }
   }, [volume, isMuted]);
@@ -272,6 +478,20 @@ const AudioPlayerModal = ({ audioUrl, onClose, autoplay = true }) => {
     }
   };
 
+  const resumePlayback = () => {
+    if (!audioRef.current || resumePosition === null) return;
+
+    audioRef.current.currentTime = resumePosition;
+    setCurrentTime(resumePosition);
+    setResumePosition(null);
+    if (!isPlaying) togglePlayPause();
+  };
+
+  const startOver = () => {
+    clearResumePosition(audioUrl);
+    setResumePosition(null);
+  };
+
   const toggleMute = () => {
     setIsMuted(!isMuted);
     setUserInteracted(true);
@@ -293,11 +513,13 @@ const AudioPlayerModal = ({ audioUrl, onClose, autoplay = true }) => {
     }
   };
 
-  const changePlaybackRate = () => {
-    const rates = [0.5, 0.75, 1, 1.25, 1.5, 2];
-    const currentIndex = rates.indexOf(playbackRate);
-    const nextIndex = (currentIndex + 1) % rates.length;
-    const newRate = rates[nextIndex];
+  // Ambient sounds keep looping until a timed sleep runs out
+  const startTimedSleep = (minutes) => {
+    if (!loop) toggleLoop();
+    startSleepTimer(minutes);
+  };
+
+  const changePlaybackRate = (newRate) => {
     setPlaybackRate(newRate);
 
     if (audioRef.current) {
@@ -317,6 +539,39 @@ const AudioPlayerModal = ({ audioUrl, onClose, autoplay = true }) => {
     }
   };
 
+  const togglePreservesPitch = () => {
+    setPreservesPitchState(!preservesPitch);
+    if (audioRef.current) {
+      setPreservesPitch(audioRef.current, !preservesPitch);
+    }
+  };
+
+  const changePitch = async (semitones) => {
+    const audio = audioRef.current;
+    setPitchSemitones(semitones);
+    setUserInteracted(true);
+    if (!audio) return;
+
+    try {
+      if (semitones && !(await prepareElementRouting(audio))) {
+        toast.error("Pitch shifting isn't available for this sound");
+        setPitchSemitones(0);
+        return;
+      }
+      setElementPitch(audio, semitones);
+    } catch (error) {
+      console.error("Pitch shift error:", error);
+      setPitchSemitones(0);
+    }
+  };
+
+  const resetSpeedAndPitch = () => {
+    changePlaybackRate(1);
+    changePitch(0);
+    setPreservesPitchState(true);
+    if (audioRef.current) setPreservesPitch(audioRef.current, true);
+  };
+
   const skipTime = (seconds) => {
     if (!audioRef.current) return;
 
@@ -329,6 +584,68 @@ const AudioPlayerModal = ({ audioUrl, onClose, autoplay = true }) => {
     setCurrentTime(newTime);
   };
 
+  const setPointA = () => {
+    if (!audioRef.current) return;
+    const time = audioRef.current.currentTime;
+    setLoopStart(time);
+    if (loopEnd !== null && loopEnd - time < MIN_LOOP_LENGTH) {
+      setLoopEnd(null);
+    }
+  };
+
+  const setPointB = () => {
+    if (!audioRef.current) return;
+    const time = audioRef.current.currentTime;
+    if (time - (loopStart ?? 0) < MIN_LOOP_LENGTH) return;
+    setLoopEnd(time);
+    if (loopStart === null) setLoopStart(0);
+  };
+
+  const clearLoopRegion = () => {
+    setLoopStart(null);
+    setLoopEnd(null);
+  };
+
+  const getTimeAtClientX = (clientX) => {
+    const rect = progressBarRef.current.getBoundingClientRect();
+    const fraction = Math.min(
+      Math.max((clientX - rect.left) / rect.width, 0),
+      1
+    );
+    return fraction * duration;
+  };
+
+  // Drag the A/B markers along the progress bar
+  const handleMarkerPointerDown = (marker) => (e) => {
+    e.stopPropagation();
+    e.currentTarget.setPointerCapture(e.pointerId);
+    setDraggingMarker(marker);
+  };
+
+  const handleMarkerPointerMove = (e) => {
+    if (!draggingMarker || !duration) return;
+    const time = getTimeAtClientX(e.clientX);
+
+    if (draggingMarker === "start") {
+      setLoopStart(
+        Math.min(time, (loopEnd ?? duration) - MIN_LOOP_LENGTH)
+      );
+    } else {
+      setLoopEnd(Math.max(time, (loopStart ?? 0) + MIN_LOOP_LENGTH));
+    }
+  };
+
+  const handleMarkerPointerUp = (e) => {
+    e.currentTarget.releasePointerCapture(e.pointerId);
+    setDraggingMarker(null);
+  };
+
+  const formatPreciseTime = (time) => {
+    const minutes = Math.floor(time / 60);
+    const seconds = (time % 60).toFixed(1).padStart(4, "0");
+    return `${minutes.toString().padStart(2, "0")}:${seconds}`;
+  };
+
   const formatTime = (time) => {
     if (!time || isNaN(time)) return "00:00";
     const minutes = Math.floor(time / 60);
@@ -351,6 +668,94 @@ const AudioPlayerModal = ({ audioUrl, onClose, autoplay = true }) => {
   };
 
   const progressPercentage = duration ? (currentTime / duration) * 100 : 0;
+  const toPercent = (time) => (duration ? (time / duration) * 100 : 0);
+  const hasLoopRegion = loopEnd !== null;
+
+  // Player shortcuts. Focused controls (buttons, sliders, fields) keep their
+  // own keys. The handler is swapped every render through a ref, so the
+  // listener itself is only added once.
+  const handleShortcutRef = useRef(null);
+  handleShortcutRef.current = (e) => {
+    if (loading || error || showAutoplayPrompt) return;
+    if (e.ctrlKey || e.metaKey || e.altKey) return;
+    if (
+      e.target.isContentEditable ||
+      ["BUTTON", "INPUT", "TEXTAREA", "SELECT"].includes(e.target.tagName)
+    ) {
+      return;
+    }
+
+    switch (e.key) {
+      case " ":
+        e.preventDefault();
+        togglePlayPause();
+        break;
+      case "ArrowLeft":
+        e.preventDefault();
+        skipTime(e.shiftKey ? -0.1 : -1);
+        break;
+      case "ArrowRight":
+        e.preventDefault();
+        skipTime(e.shiftKey ? 0.1 : 1);
+        break;
+      case "[":
+        setPointA();
+        break;
+      case "]":
+        setPointB();
+        break;
+      case "l":
+      case "L":
+        toggleLoop();
+        break;
+      default:
+    }
+  };
+
+  useEffect(() => {
+    const handleKeyDown = (e) => handleShortcutRef.current(e);
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, []);
+
+  const seekToFraction = (fraction) => {
+    if (!audioRef.current || !duration) return;
+    const newTime = fraction * duration;
+    audioRef.current.currentTime = newTime;
+    setCurrentTime(newTime);
+    setUserInteracted(true);
+  };
+
+  // Lock screen / headset controls, registered once the audio is ready
+  useMediaSession({
+    enabled: !loading && !error,
+    title,
+    artist: category,
+    isPlaying,
+    duration,
+    currentTime,
+    playbackRate,
+    handlers: {
+      play: () => {
+        if (!isPlaying) togglePlayPause();
+      },
+      pause: () => {
+        if (isPlaying) togglePlayPause();
+      },
+      seekbackward: (details) => skipTime(-(details?.seekOffset || 10)),
+      seekforward: (details) => skipTime(details?.seekOffset || 10),
+      seekto: (details) => {
+        if (!audioRef.current || details?.seekTime === undefined) return;
+        if (details.fastSeek && audioRef.current.fastSeek) {
+          audioRef.current.fastSeek(details.seekTime);
+        } else {
+          audioRef.current.currentTime = details.seekTime;
+        }
+        setCurrentTime(details.seekTime);
+      },
+      nexttrack: onNextTrack,
+    },
+  });
 
   const getVolumeIcon = () => {
     if (isMuted || volume === 0) return <VolumeX size={18} />;
@@ -359,127 +764,66 @@ const AudioPlayerModal = ({ audioUrl, onClose, autoplay = true }) => {
   };
 
   // Audio waveform visualization
-  const AudioWave = () => {
-    const [waveLines, setWaveLines] = useState(() => {
-      const lineCount = 67;
-      return Array(lineCount)
-        .fill(null)
-        .map(() => {
-          const minHeight = 5;
-          const maxHeight = 18;
-          return (
-            Math.floor(Math.random() * (maxHeight - minHeight + 1)) + minHeight
-          );
-        });
-    });
-
-    useEffect(() => {
-      let animationTimer;
-      if (isPlaying) {
-        animationTimer = setInterval(() => {
-          setWaveLines((prevLines) => {
-            return prevLines.map((height, i) => {
-              if (Math.random() > 0.85) {
-                const minHeight = 5;
-                const maxHeight = 18;
-                return (
-                  Math.floor(Math.random() * (maxHeight - minHeight + 1)) +
-                  minHeight
-                );
-              }
-              return height;
-            });
-          });
-        }, 150);
-      }
-
-      return () => {
-        if (animationTimer) {
-          clearInterval(animationTimer);
-        }
-      };
-    }, [isPlaying]);
-
-    return (
-      <div className='w-full relative h-32 flex items-center justify-center'>
-        <svg
-          viewBox={`0 0 ${waveLines.length * 2} 24`}
-          className='w-full h-full'
-        >
-          {waveLines.map((height, index) => {
-            const x = index * 2;
-            const centerY = 12;
-            const startY = centerY - height / 2;
-            const endY = centerY + height / 2;
-
-            const isPlayed =
-              (x / (waveLines.length * 2)) * 100 <= progressPercentage;
-
-            return (
-              <line
-                key={index}
-                x1={x}
-                y1={startY}
-                x2={x}
-                y2={endY}
-                stroke={isPlayed ? "#00ae34" : "#D1D5DB"}
-                strokeWidth='0.5'
-                strokeLinecap='round'
-              />
-            );
-          })}
-        </svg>
-
-        {/* Enhanced autoplay prompt overlay */}
-        {showAutoplayPrompt && !error && !loading && (
-          <div className='absolute inset-0 flex items-center justify-center bg-white bg-opacity-50 rounded-lg'>
-            <div className='text-center p-4'>
-              <div className='animate-bounce mb-3'>
-                <Play size={32} className='mx-auto text-blue-600' />
-              </div>
-              <p className='text-lg font-semibold text-gray-800 mb-2'>
-                Ready to Play!
-              </p>
-              <p className='text-sm text-gray-600 mb-4'>
-                Click anywhere or press any key to start
-              </p>
-              {/* <Button
-                onClick={togglePlayPause}
-                className='bg-blue-600 hover:bg-blue-700 text-white px-6 py-3 mb-2 rounded-full text-sm font-medium shadow-lg transform hover:scale-105 transition-all'
-              >
-                ▶ Start Playing
-              </Button> */}
+  const renderAudioWave = () => (
+    <div className='w-full relative h-32 flex items-center justify-center'>
+      <Waveform
+        soundId={audioUrl}
+        url={audioUrl}
+        isActive
+        progress={progressPercentage / 100}
+        onSeek={seekToFraction}
+        className='w-full h-full'
+      />
+
+      {/* Enhanced autoplay prompt overlay */}
+      {showAutoplayPrompt && !error && !loading && (
+        <div className='absolute inset-0 flex items-center justify-center bg-white bg-opacity-50 rounded-lg'>
+          <div className='text-center p-4'>
+            <div className='animate-bounce mb-3'>
+              <Play size={32} className='mx-auto text-blue-600' />
             </div>
-          </div>
-        )}
-
-        {error ? (
-          <div className='absolute inset-0 flex items-center justify-center bg-white bg-opacity-80'>
-            <p className='text-red-500 text-sm font-medium p-2 rounded'>
-              {error}
+            <p className='text-lg font-semibold text-gray-800 mb-2'>
+              Ready to Play!
             </p>
+            <p className='text-sm text-gray-600 mb-4'>
+              Click anywhere or press any key to start
+            </p>
+            {/* <Button
+              onClick={togglePlayPause}
+              className='bg-blue-600 hover:bg-blue-700 text-white px-6 py-3 mb-2 rounded-full text-sm font-medium shadow-lg transform hover:scale-105 transition-all'
+            >
+              ▶ Start Playing
+            </Button> */}
           </div>
-        ) : loading ? (
-          <div className='absolute inset-0 flex items-center justify-center bg-white bg-opacity-80'>
-            <div className='flex items-center space-x-2'>
-              <div
-                className='w-3 h-3 bg-blue-600 rounded-full animate-pulse'
-                style={{ animationDelay: "0ms" }}
-              ></div>
-              <div
-                className='w-3 h-3 bg-blue-600 rounded-full animate-pulse'
-                style={{ animationDelay: "300ms" }}
-              ></div>
-              <div
-                className='w-3 h-3 bg-blue-600 rounded-full animate-pulse'
-                style={{ animationDelay: "600ms" }}
-              ></div>
-            </div>
+        </div>
+      )}
+
+      {error ? (
+        <div className='absolute inset-0 flex items-center justify-center bg-white bg-opacity-80'>
+          <p className='text-red-500 text-sm font-medium p-2 rounded'>
+            {error}
+          </p>
+        </div>
+      ) : loading ? (
+        <div className='absolute inset-0 flex items-center justify-center bg-white bg-opacity-80'>
+          <div className='flex items-center space-x-2'>
+            <div
+              className='w-3 h-3 bg-blue-600 rounded-full animate-pulse'
+              style={{ animationDelay: "0ms" }}
+            ></div>
+            <div
+              className='w-3 h-3 bg-blue-600 rounded-full animate-pulse'
+              style={{ animationDelay: "300ms" }}
+            ></div>
+            <div
+              className='w-3 h-3 bg-blue-600 rounded-full animate-pulse'
+              style={{ animationDelay: "600ms" }}
+            ></div>
           </div>
-        ) : null}
-      </div>
-    );
-  };
+        </div>
+      ) : null}
+    </div>
+  );
 
   return (
     <motion.div
@@ -509,26 +853,96 @@ const AudioPlayerModal = ({ audioUrl, onClose, autoplay = true }) => {
 
         <div className='space-y-4'>
           {/* Waveform visualization */}
-          <AudioWave />
+          {renderAudioWave()}
 
-          {/* Progress bar */}
+          {/* Live spectrum of what's playing */}
+          <SpectrumVisualizer
+            audio={audioElement}
+            isPlaying={isPlaying}
+            className='h-24'
+          />
+
+          {/* Progress bar with the A–B loop region */}
           <div className='mt-2 mb-4'>
-            <div
-              ref={progressBarRef}
-              className='h-2 bg-gray-200 rounded-full overflow-hidden cursor-pointer relative'
-              onClick={handleProgressChange}
-            >
+            <div className='relative'>
               <div
-                className='h-full bg-blue-600 transition-all duration-100'
-                style={{ width: `${progressPercentage}%` }}
-              ></div>
+                ref={progressBarRef}
+                className='h-2 bg-gray-200 rounded-full overflow-hidden cursor-pointer relative'
+                onClick={handleProgressChange}
+              >
+                <div
+                  className='h-full bg-blue-600 transition-all duration-100'
+                  style={{ width: `${progressPercentage}%` }}
+                ></div>
+                {hasLoopRegion && (
+                  <div
+                    className='absolute inset-y-0 bg-amber-400 bg-opacity-50'
+                    style={{
+                      left: `${toPercent(loopStart ?? 0)}%`,
+                      width: `${toPercent(loopEnd - (loopStart ?? 0))}%`,
+                    }}
+                  ></div>
+                )}
+              </div>
+
+              {[
+                { marker: "start", label: "A", time: loopStart },
+                { marker: "end", label: "B", time: loopEnd },
+              ]
+                .filter(({ time }) => time !== null)
+                .map(({ marker, label, time }) => (
+                  <div
+                    key={marker}
+                    onPointerDown={handleMarkerPointerDown(marker)}
+                    onPointerMove={handleMarkerPointerMove}
+                    onPointerUp={handleMarkerPointerUp}
+                    className='absolute -top-4 -ml-2 w-4 flex flex-col items-center cursor-ew-resize touch-none select-none'
+                    style={{ left: `${toPercent(time)}%` }}
+                    title={`Drag to move ${label}`}
+                  >
+                    <span className='text-[10px] font-bold leading-none text-amber-600'>
+                      {label}
+                    </span>
+                    <span className='w-1 h-4 mt-0.5 rounded-full bg-amber-500'></span>
+                  </div>
+                ))}
             </div>
             <div className='flex justify-between text-xs text-gray-500 mt-1'>
               <span>{formatTime(currentTime)}</span>
+              {hasLoopRegion && (
+                <span className='text-amber-600'>
+                  {formatPreciseTime(loopStart ?? 0)} –{" "}
+                  {formatPreciseTime(loopEnd)}
+                </span>
+              )}
               <span>{formatTime(duration)}</span>
             </div>
           </div>
 
+          {/* Offer to pick up where the user left off */}
+          {resumePosition !== null && !loading && !error && (
+            <div className='flex items-center justify-between gap-2 px-3 py-2 rounded-lg bg-blue-50 text-sm'>
+              <span className='text-blue-800'>
+                Resume from {formatTime(resumePosition).replace(/^0/, "")}?
+              </span>
+              <div className='flex gap-1'>
+                <Button
+                  onClick={startOver}
+                  variant='ghost'
+                  className='h-7 px-2 text-xs hover:bg-blue-100'
+                >
+                  Start over
+                </Button>
+                <Button
+                  onClick={resumePlayback}
+                  className='h-7 px-3 text-xs bg-blue-600 hover:bg-blue-700 text-white'
+                >
+                  Resume
+                </Button>
+              </div>
+            </div>
+          )}
+
           {/* Main controls */}
           <div className='flex items-center justify-center space-x-4'>
             <Button
@@ -566,6 +980,65 @@ const AudioPlayerModal = ({ audioUrl, onClose, autoplay = true }) => {
             </Button>
           </div>
 
+          {/* Fine seeking and A–B loop points */}
+          <div className='flex items-center justify-center gap-1 text-xs'>
+            {[
+              { label: "-1s", seconds: -1 },
+              { label: "-0.1s", seconds: -0.1 },
+              { label: "+0.1s", seconds: 0.1 },
+              { label: "+1s", seconds: 1 },
+            ].map(({ label, seconds }) => (
+              <Button
+                key={label}
+                onClick={() => skipTime(seconds)}
+                variant='ghost'
+                className='h-7 px-2 text-xs font-medium hover:bg-gray-100'
+                disabled={loading || !!error}
+              >
+                {label}
+              </Button>
+            ))}
+
+            <span className='w-px h-5 bg-gray-200 mx-1'></span>
+
+            <Button
+              onClick={setPointA}
+              variant='ghost'
+              className={`h-7 px-2 text-xs font-bold hover:bg-gray-100 ${
+                loopStart !== null ? "text-amber-600" : ""
+              }`}
+              disabled={loading || !!error}
+              title='Set loop start ([)'
+            >
+              A
+            </Button>
+            <Button
+              onClick={setPointB}
+              variant='ghost'
+              className={`h-7 px-2 text-xs font-bold hover:bg-gray-100 ${
+                loopEnd !== null ? "text-amber-600" : ""
+              }`}
+              disabled={loading || !!error}
+              title='Set loop end (])'
+            >
+              B
+            </Button>
+            {(loopStart !== null || loopEnd !== null) && (
+              <Button
+                onClick={clearLoopRegion}
+                variant='ghost'
+                className='h-7 w-7 p-0 hover:bg-gray-100'
+                title='Clear loop points'
+              >
+                <X size={14} />
+              </Button>
+            )}
+          </div>
+
+          <p className='text-center text-[11px] text-gray-400'>
+            Space play/pause · ←/→ 1s · Shift+←/→ 0.1s · [ ] set A/B · L loop
+          </p>
+
           {/* Secondary controls */}
           <div className='flex items-center justify-between mt-6 border-t pt-4'>
             {/* Volume control */}
@@ -599,22 +1072,164 @@ const AudioPlayerModal = ({ audioUrl, onClose, autoplay = true }) => {
                   loop ? "bg-gray-200" : ""
                 }`}
                 disabled={loading || !!error}
+                title='Loop (L)'
               >
                 <Repeat size={16} />
               </Button>
 
               <Button
-                onClick={changePlaybackRate}
+                onClick={() => setShowSleepTimer(!showSleepTimer)}
+                variant='ghost'
+                className={`rounded-full flex items-center justify-center text-xs font-medium hover:bg-gray-100 h-8 ${
+                  sleepTimer ? "px-2 text-blue-600" : "w-8 p-0"
+                } ${showSleepTimer ? "bg-gray-200" : ""}`}
+                disabled={loading || !!error}
+                title='Sleep timer'
+              >
+                <Moon size={14} className={sleepTimer ? "mr-1" : ""} />
+                {sleepTimer &&
+                  sleepRemainingSeconds !== null &&
+                  formatTime(sleepRemainingSeconds)}
+              </Button>
+
+              <Button
+                onClick={() => setShowPitchControls(!showPitchControls)}
                 variant='ghost'
-                className='rounded-full flex items-center justify-center text-xs font-medium hover:bg-gray-100 px-2 h-8'
+                className={`rounded-full flex items-center justify-center text-xs font-medium hover:bg-gray-100 px-2 h-8 ${
+                  showPitchControls ? "bg-gray-200" : ""
+                }`}
                 disabled={loading || !!error}
-                title='Change playback speed'
+                title='Speed and pitch'
               >
                 <RefreshCw size={14} className='mr-1' />
                 {playbackRate}x
+                {pitchSemitones !== 0 &&
+                  ` · ${formatSemitones(pitchSemitones)}`}
               </Button>
             </div>
           </div>
+
+          {/* Sleep timer */}
+          {showSleepTimer && (
+            <div className='space-y-2 p-3 rounded-lg bg-gray-50'>
+              <div className='flex justify-between items-center text-xs text-gray-600'>
+                <span>Sleep timer</span>
+                {sleepTimer && (
+                  <span className='font-medium text-blue-600'>
+                    {sleepTimer.type === "track"
+                      ? "Stops at end of track"
+                      : "Stops in"}
+                    {sleepRemainingSeconds !== null &&
+                      ` · ${formatTime(sleepRemainingSeconds)}`}
+                  </span>
+                )}
+              </div>
+              <div className='flex flex-wrap gap-1'>
+                {SLEEP_TIMER_MINUTES.map((minutes) => (
+                  <Button
+                    key={minutes}
+                    onClick={() => startTimedSleep(minutes)}
+                    variant='ghost'
+                    className='h-7 px-2 text-xs bg-white border hover:bg-gray-100'
+                  >
+                    {minutes} min
+                  </Button>
+                ))}
+                <Button
+                  onClick={startEndOfTrackTimer}
+                  variant='ghost'
+                  className={`h-7 px-2 text-xs border hover:bg-gray-100 ${
+                    sleepTimer?.type === "track"
+                      ? "bg-blue-50 border-blue-200"
+                      : "bg-white"
+                  }`}
+                >
+                  End of track
+                </Button>
+              </div>
+              {sleepTimer && (
+                <div className='flex items-center justify-between'>
+                  <span className='text-[11px] text-gray-400'>
+                    {sleepTimer.type === "track"
+                      ? hasLoopRegion
+                        ? "Fades out at the end of the A–B region"
+                        : "Fades out as the track finishes"
+                      : "Loops until the timer runs out, then fades out"}
+                  </span>
+                  <Button
+                    onClick={cancelSleepTimer}
+                    variant='ghost'
+                    className='h-7 px-2 text-xs text-red-500 hover:bg-gray-100'
+                  >
+                    Cancel
+                  </Button>
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* Speed and pitch, adjustable independently */}
+          {showPitchControls && (
+            <div className='space-y-3 p-3 rounded-lg bg-gray-50'>
+              <div>
+                <div className='flex justify-between text-xs text-gray-600 mb-1'>
+                  <span>Speed</span>
+                  <span className='font-medium'>{playbackRate}x</span>
+                </div>
+                <input
+                  type='range'
+                  min='0.5'
+                  max='2'
+                  step='0.05'
+                  value={playbackRate}
+                  onChange={(e) =>
+                    changePlaybackRate(parseFloat(e.target.value))
+                  }
+                  className='w-full h-1 bg-gray-200 rounded-lg appearance-none cursor-pointer'
+                />
+                <label className='flex items-center gap-2 mt-2 text-xs text-gray-600 cursor-pointer'>
+                  <input
+                    type='checkbox'
+                    checked={preservesPitch}
+                    onChange={togglePreservesPitch}
+                  />
+                  Keep pitch when changing speed
+                </label>
+              </div>
+
+              <div>
+                <div className='flex justify-between text-xs text-gray-600 mb-1'>
+                  <span>Pitch</span>
+                  <span className='font-medium'>
+                    {formatSemitones(pitchSemitones)} semitones
+                  </span>
+                </div>
+                <input
+                  type='range'
+                  min={-MAX_PITCH_SEMITONES}
+                  max={MAX_PITCH_SEMITONES}
+                  step='1'
+                  value={pitchSemitones}
+                  onChange={(e) => changePitch(parseInt(e.target.value, 10))}
+                  className='w-full h-1 bg-gray-200 rounded-lg appearance-none cursor-pointer'
+                />
+              </div>
+
+              <div className='flex justify-end'>
+                <Button
+                  onClick={resetSpeedAndPitch}
+                  variant='ghost'
+                  className='h-7 px-2 text-xs hover:bg-gray-100'
+                  disabled={
+                    playbackRate === 1 && pitchSemitones === 0 && preservesPitch
+                  }
+                >
+                  <RotateCcw size={12} className='mr-1' />
+                  Reset
+                </Button>
+              </div>
+            </div>
+          )}
         </div>
       </motion.div>
     </motion.div>
@@ -0,0 +1,115 @@
+// src/components/AudioPlayer/MiniPlayer.jsx
+import { motion, AnimatePresence } from "framer-motion";
+import { Pause, Play, SkipBack, SkipForward, X } from "lucide-react";
+import { Button } from "../ui/button";
+import { useAudioPlayer } from "../../contexts/AudioPlayerContext";
+import { PREMIUM_PREVIEW } from "../../config/constants";
+
+const MiniPlayer = () => {
+  const {
+    currentSound,
+    queue,
+    currentIndex,
+    isPlaying,
+    currentTime,
+    duration,
+    isPreview,
+    togglePlay,
+    stop,
+    next,
+    previous,
+  } = useAudioPlayer();
+
+  // Previews only run for part of the sound, so show progress through that
+  const playableDuration = isPreview
+    ? Math.min(duration, PREMIUM_PREVIEW.DURATION_SECONDS)
+    : duration;
+  const progressPercentage = playableDuration
+    ? Math.min((currentTime / playableDuration) * 100, 100)
+    : 0;
+  const hasQueue = queue.length > 1;
+
+  return (
+    <AnimatePresence>
+      {currentSound && (
+        <motion.div
+          initial={{ y: 80, opacity: 0 }}
+          animate={{ y: 0, opacity: 1 }}
+          exit={{ y: 80, opacity: 0 }}
+          transition={{ duration: 0.2 }}
+          className="fixed bottom-0 left-1/2 -translate-x-1/2 w-full md:max-w-md bg-card border-t shadow-lg z-40"
+        >
+          <div className="h-0.5 bg-gray-200">
+            <div
+              className="h-full bg-primary transition-all duration-100"
+              style={{ width: `${progressPercentage}%` }}
+            ></div>
+          </div>
+
+          <div className="flex items-center gap-2 p-3">
+            <div className="flex-1 min-w-0">
+              <p className="text-sm font-medium truncate">
+                {currentSound.name}
+              </p>
+              <p className="text-xs text-muted-foreground truncate">
+                {isPreview
+                  ? `Preview · ${Math.max(
+                      0,
+                      Math.ceil(PREMIUM_PREVIEW.DURATION_SECONDS - currentTime)
+                    )}s left`
+                  : hasQueue
+                  ? `${currentIndex + 1} of ${queue.length}`
+                  : currentSound.category}
+              </p>
+            </div>
+
+            {hasQueue && (
+              <Button
+                size="icon"
+                variant="ghost"
+                className="h-8 w-8"
+                onClick={previous}
+                disabled={currentIndex <= 0}
+              >
+                <SkipBack size={16} />
+              </Button>
+            )}
+            <Button
+              size="icon"
+              onClick={togglePlay}
+              className="h-9 w-9 text-white"
+            >
+              {isPlaying ? (
+                <Pause size={16} />
+              ) : (
+                <Play size={16} className="ml-0.5" />
+              )}
+            </Button>
+            {hasQueue && (
+              <Button
+                size="icon"
+                variant="ghost"
+                className="h-8 w-8"
+                onClick={next}
+                disabled={currentIndex >= queue.length - 1}
+              >
+                <SkipForward size={16} />
+              </Button>
+            )}
+            <Button
+              size="icon"
+              variant="ghost"
+              className="h-8 w-8"
+              onClick={stop}
+              title="Close player"
+            >
+              <X size={16} />
+            </Button>
+          </div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+};
+
+export default MiniPlayer;
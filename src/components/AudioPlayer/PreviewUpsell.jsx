@@ -0,0 +1,79 @@
+// src/components/AudioPlayer/PreviewUpsell.jsx
+import { motion, AnimatePresence } from "framer-motion";
+import { Crown, X } from "lucide-react";
+import { useNavigate } from "react-router-dom";
+import { Button } from "../ui/button";
+import { useAudioPlayer } from "../../contexts/AudioPlayerContext";
+import { PREMIUM_PREVIEW, ROUTES } from "../../config/constants";
+
+// Shown when a premium sound's preview runs out for a non-subscriber
+const PreviewUpsell = () => {
+  const navigate = useNavigate();
+  const { previewEndedSound, dismissPreviewUpsell } = useAudioPlayer();
+
+  const goToPayment = () => {
+    dismissPreviewUpsell();
+    navigate(ROUTES.PAYMENT);
+  };
+
+  return (
+    <AnimatePresence>
+      {previewEndedSound && (
+        <motion.div
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          className="fixed inset-0 bg-black bg-opacity-50 flex items-end sm:items-center justify-center z-50"
+          onClick={dismissPreviewUpsell}
+        >
+          <motion.div
+            initial={{ y: 40, opacity: 0 }}
+            animate={{ y: 0, opacity: 1 }}
+            exit={{ y: 40, opacity: 0 }}
+            className="relative bg-card w-full md:max-w-md rounded-t-2xl sm:rounded-2xl p-6 shadow-lg text-center"
+            onClick={(e) => e.stopPropagation()}
+          >
+            <Button
+              size="icon"
+              variant="ghost"
+              className="absolute top-3 right-3 h-8 w-8"
+              onClick={dismissPreviewUpsell}
+            >
+              <X size={16} />
+            </Button>
+
+            <div className="mx-auto mb-3 w-12 h-12 flex items-center justify-center bg-yellow-100 rounded-full">
+              <Crown className="w-6 h-6 text-yellow-600" />
+            </div>
+            <h3 className="text-lg font-bold text-foreground">
+              Enjoyed the preview?
+            </h3>
+            <p className="text-sm text-muted-foreground mt-1">
+              That was the first {PREMIUM_PREVIEW.DURATION_SECONDS} seconds of
+              "{previewEndedSound.name}". Upgrade to premium to play and send
+              the full sound.
+            </p>
+
+            <div className="flex flex-col gap-2 mt-5">
+              <Button
+                onClick={goToPayment}
+                className="w-full bg-primary hover:bg-primary/90 text-primary-foreground"
+              >
+                Unlock full sound
+              </Button>
+              <Button
+                variant="ghost"
+                onClick={dismissPreviewUpsell}
+                className="w-full text-muted-foreground"
+              >
+                Maybe later
+              </Button>
+            </div>
+          </motion.div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+};
+
+export default PreviewUpsell;
@@ -0,0 +1,238 @@
+// src\components\AudioPlayer\SpectrumVisualizer.jsx
+import { useEffect, useRef, useState } from "react";
+import { useReducedMotion } from "framer-motion";
+import { useTheme } from "../../contexts/ThemeContext";
+import {
+  getElementAnalyser,
+  prepareElementRouting,
+} from "../../lib/element-audio-graph";
+
+const MODES = [
+  { value: "bars", label: "Bars" },
+  { value: "radial", label: "Radial" },
+  { value: "oscilloscope", label: "Wave" },
+];
+
+const BAR_COUNT = 48;
+// With reduced motion the picture only refreshes this often
+const REDUCED_MOTION_INTERVAL = 1000;
+
+const PALETTES = {
+  light: { background: "#f3f4f6", primary: "#2563eb", accent: "#7c3aed" },
+  dark: { background: "#111827", primary: "#60a5fa", accent: "#a78bfa" },
+};
+
+// Frequency bins grouped into bars on a log scale, so bass doesn't take up
+// only the first bar or two
+const getBarLevels = (frequencyData) => {
+  const levels = new Array(BAR_COUNT);
+  const maxBin = frequencyData.length;
+
+  for (let bar = 0; bar < BAR_COUNT; bar++) {
+    const start = Math.floor(Math.pow(maxBin, bar / BAR_COUNT));
+    const end = Math.max(
+      start + 1,
+      Math.floor(Math.pow(maxBin, (bar + 1) / BAR_COUNT))
+    );
+    let peak = 0;
+    for (let i = start; i < end && i < maxBin; i++) {
+      peak = Math.max(peak, frequencyData[i]);
+    }
+    levels[bar] = peak / 255;
+  }
+  return levels;
+};
+
+const drawBars = (ctx, width, height, levels, palette) => {
+  const gap = 2;
+  const barWidth = (width - gap * (BAR_COUNT - 1)) / BAR_COUNT;
+  const gradient = ctx.createLinearGradient(0, height, 0, 0);
+  gradient.addColorStop(0, palette.primary);
+  gradient.addColorStop(1, palette.accent);
+  ctx.fillStyle = gradient;
+
+  levels.forEach((level, index) => {
+    const barHeight = Math.max(2, level * height);
+    ctx.fillRect(
+      index * (barWidth + gap),
+      height - barHeight,
+      barWidth,
+      barHeight
+    );
+  });
+};
+
+const drawRadial = (ctx, width, height, levels, palette) => {
+  const centerX = width / 2;
+  const centerY = height / 2;
+  const radius = Math.min(width, height) * 0.22;
+  const maxLength = Math.min(width, height) / 2 - radius - 2;
+
+  ctx.lineWidth = Math.max(2, (2 * Math.PI * radius) / BAR_COUNT / 2);
+  ctx.lineCap = "round";
+
+  levels.forEach((level, index) => {
+    const angle = (index / BAR_COUNT) * Math.PI * 2 - Math.PI / 2;
+    const length = 2 + level * maxLength;
+    ctx.strokeStyle = index % 2 ? palette.accent : palette.primary;
+    ctx.beginPath();
+    ctx.moveTo(
+      centerX + Math.cos(angle) * radius,
+      centerY + Math.sin(angle) * radius
+    );
+    ctx.lineTo(
+      centerX + Math.cos(angle) * (radius + length),
+      centerY + Math.sin(angle) * (radius + length)
+    );
+    ctx.stroke();
+  });
+};
+
+const drawOscilloscope = (ctx, width, height, timeData, palette) => {
+  ctx.lineWidth = 2;
+  ctx.strokeStyle = palette.primary;
+  ctx.beginPath();
+
+  const step = width / (timeData.length - 1);
+  timeData.forEach((value, index) => {
+    const y = (value / 255) * height;
+    if (index === 0) {
+      ctx.moveTo(0, y);
+    } else {
+      ctx.lineTo(index * step, y);
+    }
+  });
+  ctx.stroke();
+};
+
+// Live picture of what the player is outputting, drawn from an AnalyserNode
+const SpectrumVisualizer = ({ audio, isPlaying, className = "" }) => {
+  const canvasRef = useRef(null);
+  const [mode, setMode] = useState("bars");
+  const [analyser, setAnalyser] = useState(null);
+  const prefersReducedMotion = useReducedMotion();
+  const { theme } = useTheme();
+  const palette = PALETTES[theme === "dark" ? "dark" : "light"];
+
+  useEffect(() => {
+    setAnalyser(null);
+  }, [audio]);
+
+  // Routing through Web Audio silences the element while the context is
+  // suspended or the source lacks CORS, so only connect once it's ready
+  useEffect(() => {
+    if (!audio || !isPlaying || analyser) return;
+
+    let cancelled = false;
+    prepareElementRouting(audio).then((canRoute) => {
+      if (cancelled || !canRoute) return;
+      try {
+        setAnalyser(getElementAnalyser(audio));
+      } catch (error) {
+        console.error("Visualizer setup error:", error);
+      }
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [audio, isPlaying, analyser]);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+
+    const ctx = canvas.getContext("2d");
+    const frequencyData = analyser
+      ? new Uint8Array(analyser.frequencyBinCount)
+      : null;
+    const timeData = analyser ? new Uint8Array(analyser.fftSize) : null;
+    let frameId;
+    let timeoutId;
+
+    const draw = () => {
+      // Match the canvas to its displayed size on sharp screens
+      const ratio = window.devicePixelRatio || 1;
+      const width = canvas.clientWidth;
+      const height = canvas.clientHeight;
+      if (canvas.width !== width * ratio || canvas.height !== height * ratio) {
+        canvas.width = width * ratio;
+        canvas.height = height * ratio;
+      }
+      ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+      ctx.fillStyle = palette.background;
+      ctx.fillRect(0, 0, width, height);
+
+      if (mode === "oscilloscope") {
+        if (timeData) analyser.getByteTimeDomainData(timeData);
+        drawOscilloscope(
+          ctx,
+          width,
+          height,
+          timeData || new Uint8Array(2).fill(128),
+          palette
+        );
+      } else {
+        if (frequencyData) analyser.getByteFrequencyData(frequencyData);
+        const levels = frequencyData
+          ? getBarLevels(frequencyData)
+          : new Array(BAR_COUNT).fill(0);
+        if (mode === "radial") {
+          drawRadial(ctx, width, height, levels, palette);
+        } else {
+          drawBars(ctx, width, height, levels, palette);
+        }
+      }
+    };
+
+    const loop = () => {
+      draw();
+      if (prefersReducedMotion) {
+        timeoutId = setTimeout(loop, REDUCED_MOTION_INTERVAL);
+      } else {
+        frameId = requestAnimationFrame(loop);
+      }
+    };
+
+    // A paused player gets one still frame instead of a running loop
+    if (analyser && isPlaying) {
+      loop();
+    } else {
+      draw();
+    }
+
+    return () => {
+      cancelAnimationFrame(frameId);
+      clearTimeout(timeoutId);
+    };
+  }, [analyser, isPlaying, mode, prefersReducedMotion, palette]);
+
+  return (
+    <div className={`relative ${className}`}>
+      <canvas
+        ref={canvasRef}
+        className="w-full h-full rounded-lg"
+        aria-label="Audio visualizer"
+        role="img"
+      />
+      <div className="absolute top-1.5 right-1.5 flex gap-1">
+        {MODES.map((option) => (
+          <button
+            key={option.value}
+            type="button"
+            onClick={() => setMode(option.value)}
+            className={`px-2 py-0.5 rounded-full text-[10px] font-medium transition-colors ${
+              mode === option.value
+                ? "bg-primary text-white"
+                : "bg-white/70 text-gray-600 hover:bg-white"
+            }`}
+          >
+            {option.label}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default SpectrumVisualizer;
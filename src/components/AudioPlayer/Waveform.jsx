@@ -0,0 +1,98 @@
+// src/components/AudioPlayer/Waveform.jsx
+import { useEffect, useRef, useState } from "react";
+import { useWaveform } from "../../hooks/useWaveform";
+import { WAVEFORM_BAR_COUNT } from "../../utils/waveform";
+
+const PLACEHOLDER_PEAKS = new Array(WAVEFORM_BAR_COUNT).fill(0.1);
+
+// Peak waveform decoded from the actual audio, with a playhead and
+// click-to-seek. Decoding only starts once the waveform scrolls into view.
+const Waveform = ({
+  soundId,
+  url,
+  progress = 0,
+  isActive = false,
+  onSeek,
+  className = "w-full h-8",
+}) => {
+  const containerRef = useRef(null);
+  const [isVisible, setIsVisible] = useState(false);
+
+  useEffect(() => {
+    const element = containerRef.current;
+    if (!element || isVisible) return;
+
+    if (typeof IntersectionObserver === "undefined") {
+      setIsVisible(true);
+      return;
+    }
+
+    const observer = new IntersectionObserver(
+      (entries) => {
+        if (entries.some((entry) => entry.isIntersecting)) {
+          setIsVisible(true);
+          observer.disconnect();
+        }
+      },
+      { rootMargin: "100px" }
+    );
+    observer.observe(element);
+
+    return () => observer.disconnect();
+  }, [isVisible]);
+
+  const { data: peaks } = useWaveform(soundId, url, { enabled: isVisible });
+  const bars = peaks || PLACEHOLDER_PEAKS;
+  const width = bars.length * 2;
+  const playedBars = Math.floor(progress * bars.length);
+
+  const handleClick = (e) => {
+    if (!onSeek) return;
+    e.stopPropagation();
+    const rect = e.currentTarget.getBoundingClientRect();
+    const fraction = (e.clientX - rect.left) / rect.width;
+    onSeek(Math.min(Math.max(fraction, 0), 1));
+  };
+
+  return (
+    <div ref={containerRef} className={className}>
+      <svg
+        viewBox={`0 0 ${width} 24`}
+        preserveAspectRatio="none"
+        className={`w-full h-full ${onSeek ? "cursor-pointer" : ""}`}
+        onClick={handleClick}
+      >
+        {bars.map((peak, index) => {
+          const height = Math.max(1, peak * 20);
+          const isPlayed = isActive && index < playedBars;
+
+          return (
+            <line
+              key={index}
+              x1={index * 2 + 1}
+              y1={12 - height / 2}
+              x2={index * 2 + 1}
+              y2={12 + height / 2}
+              stroke={isPlayed ? "#00ae34" : "#D1D5DB"}
+              strokeWidth="1"
+              strokeLinecap="round"
+            />
+          );
+        })}
+
+        {isActive && progress > 0 && (
+          <line
+            x1={progress * width}
+            y1={0}
+            x2={progress * width}
+            y2={24}
+            stroke="#00ae34"
+            strokeWidth="0.5"
+          />
+        )}
+      </svg>
+    </div>
+  );
+};
+
+export default Waveform;
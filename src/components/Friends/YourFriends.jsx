@@ -16,6 +16,7 @@ import { useAuth } from "../../contexts/AuthContext";
 import { useNavigate } from "react-router-dom";
 import { useSelectedSound } from "../../contexts/SelectedSoundContext";
 import { useSendSoundMessage } from "../../hooks/useMessages";
+import { useRecordSoundHistory } from "../../hooks/useSoundHistory";
 
 const useSwipe = (onSwipeLeft, onSwipeRight) => {
   const [touchStart, setTouchStart] = useState(null);
@@ -187,6 +188,7 @@ const YourFriends = ({ friends, isLoading }) => {
   const { selectedSound, clearSelectedSound } = useSelectedSound();
   const navigate = useNavigate();
   const sendSoundMessage = useSendSoundMessage();
+  const { recordSend } = useRecordSoundHistory(user?._id);
 
   // Check if user has swiped before and setup tutorial
   useEffect(() => {
@@ -310,7 +312,7 @@ const YourFriends = ({ friends, isLoading }) => {
     setFriendToRemove(null);
   };
 
-  const handleSendSound = (friendId) => {
+  const handleSendSound = (friendId, friendName) => {
     if (selectedSound) {
       // Set sending state for this friend
       setSendingToFriends((prev) => ({
@@ -329,6 +331,11 @@ const YourFriends = ({ friends, isLoading }) => {
             toast.success(
               `Sound "${selectedSound.soundTitle}" sent successfully!`
             );
+            if (selectedSound.sound) {
+              recordSend(selectedSound.sound, [
+                { id: friendId, name: friendName },
+              ]);
+            }
             // Mark this friend as having received the sound
             setSentToFriends((prev) => ({
               ...prev,
@@ -452,7 +459,9 @@ const YourFriends = ({ friends, isLoading }) => {
 
           <button
             onClick={() =>
-              !hasSentSound && !isSending && handleSendSound(friendInfo.userId)
+              !hasSentSound &&
+              !isSending &&
+              handleSendSound(friendInfo.userId, friendInfo.fullName)
             }
             disabled={hasSentSound || isSending}
             className={`px-3 py-1.5 rounded-md text-sm font-medium transition-colors flex items-center gap-1 ${
@@ -0,0 +1,133 @@
+// src\components\Playlists\AddToPlaylistModal.jsx
+import { useState } from "react";
+import { motion } from "framer-motion";
+import { Check, ListMusic, Plus, X } from "lucide-react";
+import toast from "react-hot-toast";
+import { Button } from "../ui/button";
+import {
+  usePlaylists,
+  useCreatePlaylist,
+  useUpdatePlaylist,
+  getPlaylistSoundIds,
+} from "../../hooks/usePlaylists";
+
+const AddToPlaylistModal = ({ isOpen, onClose, sound }) => {
+  const [newPlaylistName, setNewPlaylistName] = useState("");
+  const { data: playlistsData, isLoading } = usePlaylists();
+  const createPlaylistMutation = useCreatePlaylist();
+  const updatePlaylistMutation = useUpdatePlaylist();
+
+  if (!isOpen || !sound) return null;
+
+  const playlists = playlistsData?.data || [];
+
+  const togglePlaylist = (playlist) => {
+    const soundIds = getPlaylistSoundIds(playlist);
+    const isInPlaylist = soundIds.includes(sound.id);
+
+    updatePlaylistMutation.mutate(
+      {
+        id: playlist._id,
+        sounds: isInPlaylist
+          ? soundIds.filter((id) => id !== sound.id)
+          : [...soundIds, sound.id],
+      },
+      {
+        onSuccess: () =>
+          toast.success(
+            isInPlaylist
+              ? `Removed "${sound.name}" from ${playlist.name}`
+              : `Added "${sound.name}" to ${playlist.name}`
+          ),
+      }
+    );
+  };
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    const name = newPlaylistName.trim();
+    if (!name) {
+      toast.error("Playlist name is required");
+      return;
+    }
+
+    createPlaylistMutation.mutate(
+      { name, sounds: [sound.id] },
+      { onSuccess: () => setNewPlaylistName("") }
+    );
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <motion.div
+        initial={{ scale: 0.95, opacity: 0 }}
+        animate={{ scale: 1, opacity: 1 }}
+        className="bg-white text-black rounded-lg p-6 w-11/12 max-w-md shadow-lg"
+      >
+        <div className="flex items-center justify-between mb-4">
+          <div>
+            <h3 className="text-lg font-bold">Add to Playlist</h3>
+            <p className="text-sm text-gray-500">"{sound.name}"</p>
+          </div>
+          <Button
+            onClick={onClose}
+            className="p-2 hover:bg-gray-100 rounded-full"
+            variant="ghost"
+          >
+            <X className="w-5 h-5" />
+          </Button>
+        </div>
+
+        <div className="max-h-60 overflow-y-auto space-y-1 mb-4">
+          {isLoading ? (
+            <p className="text-sm text-gray-500 py-4 text-center">
+              Loading playlists...
+            </p>
+          ) : playlists.length > 0 ? (
+            playlists.map((playlist) => {
+              const isInPlaylist = getPlaylistSoundIds(playlist).includes(
+                sound.id
+              );
+
+              return (
+                <button
+                  key={playlist._id}
+                  onClick={() => togglePlaylist(playlist)}
+                  disabled={updatePlaylistMutation.isPending}
+                  className="flex items-center w-full gap-3 p-2 rounded-lg hover:bg-gray-100 text-left"
+                >
+                  <ListMusic className="w-4 h-4 text-primary" />
+                  <span className="flex-1 text-sm">{playlist.name}</span>
+                  {isInPlaylist && <Check className="w-4 h-4 text-green-600" />}
+                </button>
+              );
+            })
+          ) : (
+            <p className="text-sm text-gray-500 py-4 text-center">
+              You have no playlists yet
+            </p>
+          )}
+        </div>
+
+        <form onSubmit={handleCreate} className="flex gap-2">
+          <input
+            type="text"
+            placeholder="New playlist name"
+            value={newPlaylistName}
+            onChange={(e) => setNewPlaylistName(e.target.value)}
+            className="flex-1 p-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+          <Button
+            type="submit"
+            disabled={createPlaylistMutation.isPending}
+            className="bg-primary hover:bg-blue-600 text-white rounded-lg"
+          >
+            <Plus size={16} />
+          </Button>
+        </form>
+      </motion.div>
+    </div>
+  );
+};
+
+export default AddToPlaylistModal;
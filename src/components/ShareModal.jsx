@@ -15,7 +15,8 @@ import {
 import { Button } from "./ui/button";
 import { useNativeShare } from "../hooks/useNativeShare";
 
-const ShareModal = ({ isOpen, onClose, shareData }) => {
+// `onShare` is told which platform the sound went out through
+const ShareModal = ({ isOpen, onClose, shareData, onShare }) => {
   const { copyToClipboard } = useNativeShare();
 
   if (!isOpen) return null;
@@ -146,6 +147,7 @@ const ShareModal = ({ isOpen, onClose, shareData }) => {
     } else {
       window.open(url, "_blank", "noopener,noreferrer");
     }
+    onShare?.(name);
     onClose();
   };
   
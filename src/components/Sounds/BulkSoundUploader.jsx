@@ -0,0 +1,272 @@
+// src\components\Sounds\BulkSoundUploader.jsx
+import { useEffect, useRef, useState } from "react";
+import { motion, AnimatePresence } from "framer-motion";
+import { Upload, Music, X, RotateCcw, Check } from "lucide-react";
+import toast from "react-hot-toast";
+import { Button } from "../ui/button";
+import { useBulkUploadSounds } from "../../hooks/useSound";
+import { SOUND_CATEGORIES } from "../../config/constants";
+import { formatFileSize } from "../../utils/sound-file";
+
+const STATUS_LABELS = {
+  checking: "Checking...",
+  invalid: "Invalid",
+  idle: "Ready",
+  queued: "Waiting...",
+  uploading: "Uploading",
+  done: "Uploaded",
+  error: "Failed",
+  cancelled: "Cancelled",
+};
+
+const BulkSoundUploader = ({ initialFiles = [], onClose }) => {
+  const [category, setCategory] = useState("Celebration");
+  const [isPremium, setIsPremium] = useState(false);
+  const [description, setDescription] = useState("");
+  const [isDragging, setIsDragging] = useState(false);
+  const fileInputRef = useRef(null);
+
+  const {
+    uploads,
+    addFiles,
+    updateUpload,
+    removeUpload,
+    startUploads,
+    retryUpload,
+    cancelUpload,
+    isUploading,
+  } = useBulkUploadSounds();
+
+  const idleCount = uploads.filter((upload) => upload.status === "idle").length;
+
+  const handleFiles = (files) => {
+    const rejected = addFiles(files);
+    rejected.forEach(({ file, error }) => toast.error(`${file.name}: ${error}`));
+  };
+
+  // Files dropped on the single-sound form before switching to bulk mode
+  const initialFilesAddedRef = useRef(false);
+  useEffect(() => {
+    if (initialFilesAddedRef.current || initialFiles.length === 0) return;
+    initialFilesAddedRef.current = true;
+    handleFiles(initialFiles);
+  }, []);
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setIsDragging(false);
+    handleFiles(e.dataTransfer.files);
+  };
+
+  const handleStart = () => {
+    const untitled = uploads.some(
+      (upload) => upload.status === "idle" && !upload.title.trim()
+    );
+    if (untitled) {
+      toast.error("Every sound needs a title");
+      return;
+    }
+    startUploads({ category, isPremium, description });
+  };
+
+  // First warning from the file's validation report, if any
+  const getWarning = (upload) =>
+    upload.report?.checks.find((check) => check.status === "warn")?.message;
+
+  const renderUploadActions = (upload) => {
+    if (["checking", "invalid", "idle"].includes(upload.status)) {
+      return (
+        <button
+          type="button"
+          onClick={() => removeUpload(upload.id)}
+          className="p-1 rounded-full text-muted-foreground hover:bg-accent"
+          title="Remove"
+        >
+          <X size={16} />
+        </button>
+      );
+    }
+    if (upload.status === "queued" || upload.status === "uploading") {
+      return (
+        <button
+          type="button"
+          onClick={() => cancelUpload(upload.id)}
+          className="p-1 rounded-full text-destructive hover:bg-accent"
+          title="Cancel upload"
+        >
+          <X size={16} />
+        </button>
+      );
+    }
+    if (upload.status === "error" || upload.status === "cancelled") {
+      return (
+        <button
+          type="button"
+          onClick={() => retryUpload(upload.id)}
+          className="p-1 rounded-full text-primary hover:bg-accent"
+          title="Retry upload"
+        >
+          <RotateCcw size={16} />
+        </button>
+      );
+    }
+    return <Check size={16} className="text-green-500" />;
+  };
+
+  return (
+    <div>
+      {/* Drop zone */}
+      <div
+        className={`border-2 border-dashed rounded-lg p-4 text-center cursor-pointer hover:bg-accent/50 transition-colors mb-4 ${
+          isDragging ? "border-primary bg-accent/50" : "border-input"
+        }`}
+        onClick={() => fileInputRef.current?.click()}
+        onDragOver={(e) => {
+          e.preventDefault();
+          setIsDragging(true);
+        }}
+        onDragLeave={() => setIsDragging(false)}
+        onDrop={handleDrop}
+      >
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept="audio/*"
+          multiple
+          onChange={(e) => {
+            handleFiles(e.target.files);
+            e.target.value = "";
+          }}
+          className="hidden"
+        />
+        <Upload size={28} className="mx-auto mb-2 text-muted-foreground" />
+        <p className="text-sm text-muted-foreground">
+          Drop sound files here or click to choose
+        </p>
+        <p className="text-xs text-muted-foreground mt-1">
+          Titles are filled in from the file names
+        </p>
+      </div>
+
+      {/* Shared defaults */}
+      <div className="grid grid-cols-2 gap-3 mb-3">
+        <div>
+          <label
+            htmlFor="bulkCategory"
+            className="block text-sm font-medium mb-1 text-foreground"
+          >
+            Category
+          </label>
+          <select
+            id="bulkCategory"
+            value={category}
+            onChange={(e) => setCategory(e.target.value)}
+            className="w-full p-2 bg-background border border-input rounded-md text-foreground"
+          >
+            {SOUND_CATEGORIES.map((cat) => (
+              <option key={cat.value} value={cat.value}>
+                {cat.label}
+              </option>
+            ))}
+          </select>
+        </div>
+        <label className="flex items-center gap-2 mt-6 text-sm font-medium text-foreground cursor-pointer">
+          <input
+            type="checkbox"
+            checked={isPremium}
+            onChange={() => setIsPremium(!isPremium)}
+            className="w-4 h-4"
+          />
+          Premium Content
+        </label>
+      </div>
+      <input
+        type="text"
+        value={description}
+        onChange={(e) => setDescription(e.target.value)}
+        className="w-full p-2 mb-4 bg-background border border-input rounded-md text-foreground text-sm"
+        placeholder="Description (defaults to each title)"
+      />
+
+      {/* File list */}
+      <div className="max-h-60 overflow-y-auto space-y-2 mb-4">
+        <AnimatePresence>
+          {uploads.map((upload) => (
+            <motion.div
+              key={upload.id}
+              initial={{ opacity: 0, y: 5 }}
+              animate={{ opacity: 1, y: 0 }}
+              exit={{ opacity: 0, height: 0 }}
+              className="p-2 border border-input rounded-md"
+            >
+              <div className="flex items-center gap-2">
+                <Music size={16} className="text-primary flex-shrink-0" />
+                <input
+                  type="text"
+                  value={upload.title}
+                  onChange={(e) =>
+                    updateUpload(upload.id, { title: e.target.value })
+                  }
+                  disabled={!["checking", "idle"].includes(upload.status)}
+                  className="flex-1 min-w-0 p-1 bg-background text-sm text-foreground rounded border border-transparent focus:border-input disabled:opacity-70"
+                />
+                {renderUploadActions(upload)}
+              </div>
+              <div className="flex items-center justify-between mt-1 text-xs text-muted-foreground">
+                <span className="truncate max-w-[60%]">
+                  {upload.file.name} · {formatFileSize(upload.file.size)}
+                </span>
+                <span
+                  className={
+                    ["error", "invalid"].includes(upload.status)
+                      ? "text-destructive text-right"
+                      : getWarning(upload) && upload.status === "idle"
+                      ? "text-amber-500 text-right"
+                      : undefined
+                  }
+                >
+                  {upload.status === "uploading"
+                    ? `${upload.progress}%`
+                    : upload.error ||
+                      (upload.status === "idle" && getWarning(upload)) ||
+                      STATUS_LABELS[upload.status]}
+                </span>
+              </div>
+              {(upload.status === "uploading" || upload.status === "done") && (
+                <div className="h-1 mt-1 bg-gray-200 rounded-full overflow-hidden">
+                  <div
+                    className="h-full bg-primary transition-all"
+                    style={{ width: `${upload.progress}%` }}
+                  />
+                </div>
+              )}
+            </motion.div>
+          ))}
+        </AnimatePresence>
+      </div>
+
+      <div className="flex justify-end gap-3">
+        <Button
+          type="button"
+          onClick={onClose}
+          variant="secondary"
+          className="text-secondary-foreground"
+        >
+          {isUploading ? "Cancel" : "Close"}
+        </Button>
+        <Button
+          type="button"
+          onClick={handleStart}
+          className="bg-primary hover:bg-primary/90 text-primary-foreground"
+          disabled={idleCount === 0}
+        >
+          {idleCount > 0
+            ? `Upload ${idleCount} ${idleCount === 1 ? "Sound" : "Sounds"}`
+            : "Upload"}
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+export default BulkSoundUploader;
@@ -0,0 +1,113 @@
+// src\components\Sounds\CategoryFilterBar.jsx
+import { motion } from "framer-motion";
+import { Layers } from "lucide-react";
+import { SOUND_CATEGORIES } from "../../config/constants";
+import { useSoundCategoryCounts } from "../../hooks/useSound";
+
+const CATEGORY_VALUES = SOUND_CATEGORIES.map((cat) => cat.value);
+
+const CategoryFilterBar = ({
+  selectedCategories,
+  onChange,
+  isMultiSelect,
+  onMultiSelectChange,
+}) => {
+  const counts = useSoundCategoryCounts(CATEGORY_VALUES);
+
+  // Only shown when every category's count is known
+  const totalCount = CATEGORY_VALUES.every(
+    (value) => counts[value] !== undefined
+  )
+    ? CATEGORY_VALUES.reduce((total, value) => total + counts[value], 0)
+    : undefined;
+
+  const handleCategoryClick = (value) => {
+    const isSelected = selectedCategories.includes(value);
+
+    if (isMultiSelect) {
+      onChange(
+        isSelected
+          ? selectedCategories.filter((category) => category !== value)
+          : [...selectedCategories, value]
+      );
+    } else {
+      onChange(isSelected ? [] : [value]);
+    }
+  };
+
+  const toggleMultiSelect = () => {
+    // Leaving multi-category mode keeps only the first selected category
+    if (isMultiSelect && selectedCategories.length > 1) {
+      onChange(selectedCategories.slice(0, 1));
+    }
+    onMultiSelectChange(!isMultiSelect);
+  };
+
+  const renderChip = (key, label, count, isActive, onClick) => (
+    <motion.button
+      key={key}
+      type="button"
+      whileTap={{ scale: 0.95 }}
+      onClick={onClick}
+      className={`flex items-center gap-1.5 px-3 py-1.5 rounded-full text-xs font-medium whitespace-nowrap border transition-colors ${
+        isActive
+          ? "bg-primary text-white border-primary"
+          : "bg-gray-100 text-gray-700 border-gray-200 hover:bg-gray-200"
+      }`}
+    >
+      {label}
+      {count !== undefined && (
+        <span
+          className={`px-1.5 rounded-full text-[10px] font-semibold ${
+            isActive ? "bg-white/25" : "bg-gray-300 text-gray-700"
+          }`}
+        >
+          {count}
+        </span>
+      )}
+    </motion.button>
+  );
+
+  return (
+    <div className="flex items-center gap-2 pb-2">
+      <motion.button
+        type="button"
+        whileTap={{ scale: 0.95 }}
+        onClick={toggleMultiSelect}
+        title={
+          isMultiSelect
+            ? "Multi-category mode on"
+            : "Select multiple categories"
+        }
+        className={`flex-shrink-0 rounded-full w-8 h-8 flex items-center justify-center border transition-colors ${
+          isMultiSelect
+            ? "bg-primary text-white border-primary"
+            : "bg-gray-100 text-gray-700 border-gray-200 hover:bg-gray-200"
+        }`}
+      >
+        <Layers size={14} />
+      </motion.button>
+
+      <div className="flex gap-2 overflow-x-auto scroll-container pb-1">
+        {renderChip(
+          "all",
+          "All",
+          totalCount || undefined,
+          selectedCategories.length === 0,
+          () => onChange([])
+        )}
+        {SOUND_CATEGORIES.map((cat) =>
+          renderChip(
+            cat.value,
+            cat.label,
+            counts[cat.value],
+            selectedCategories.includes(cat.value),
+            () => handleCategoryClick(cat.value)
+          )
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CategoryFilterBar;
@@ -0,0 +1,177 @@
+// src\components\Sounds\LoudnessNormalizer.jsx
+import { useEffect, useState } from "react";
+import { motion } from "framer-motion";
+import { Volume2 } from "lucide-react";
+import toast from "react-hot-toast";
+import { Button } from "../ui/button";
+import { AUDIO_PROCESSING } from "../../config/constants";
+import {
+  analyseLoudness,
+  applyGain,
+  audioBufferToFile,
+  decodeAudioFile,
+  getNormalizationGain,
+} from "../../utils/audio-edit";
+
+const METER_FLOOR_DB = -60;
+
+const formatDb = (value, unit = "dB") =>
+  isFinite(value) ? `${value.toFixed(1)} ${unit}` : `-∞ ${unit}`;
+
+// Horizontal level meter from METER_FLOOR_DB up to 0 dB
+const LevelMeter = ({ label, value, unit, marker }) => {
+  const toPercent = (db) =>
+    isFinite(db)
+      ? Math.min(Math.max((1 - db / METER_FLOOR_DB) * 100, 0), 100)
+      : 0;
+
+  return (
+    <div>
+      <div className="flex justify-between text-xs text-muted-foreground mb-0.5">
+        <span>{label}</span>
+        <span>{formatDb(value, unit)}</span>
+      </div>
+      <div className="relative h-2 bg-gray-200 rounded-full overflow-hidden">
+        <div
+          className={`h-full rounded-full ${
+            value > -3
+              ? "bg-red-500"
+              : value > -12
+              ? "bg-amber-400"
+              : "bg-green-500"
+          }`}
+          style={{ width: `${toPercent(value)}%` }}
+        />
+        {marker !== undefined && (
+          <div
+            className="absolute inset-y-0 w-0.5 bg-primary"
+            style={{ left: `${toPercent(marker)}%` }}
+          />
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Measure the file's loudness and rewrite it at the library's target level
+const LoudnessNormalizer = ({ file, onApply, onCancel }) => {
+  const [audioBuffer, setAudioBuffer] = useState(null);
+  const [analysis, setAnalysis] = useState(null);
+  const [isApplying, setIsApplying] = useState(false);
+  const { TARGET_LUFS, PEAK_CEILING_DB } = AUDIO_PROCESSING;
+
+  useEffect(() => {
+    let cancelled = false;
+
+    decodeAudioFile(file)
+      .then((buffer) => {
+        if (cancelled) return;
+        setAudioBuffer(buffer);
+        setAnalysis(analyseLoudness(buffer));
+      })
+      .catch((error) => {
+        console.error("Loudness decode error:", error);
+        toast.error("This file could not be decoded for analysis");
+        onCancel();
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [file]);
+
+  if (!analysis) {
+    return (
+      <div className="py-6 text-center text-sm text-muted-foreground">
+        Analysing loudness...
+      </div>
+    );
+  }
+
+  const gain = getNormalizationGain(analysis, TARGET_LUFS, PEAK_CEILING_DB);
+  // Gain shifts every level by the same amount
+  const after = {
+    peakDb: analysis.peakDb + gain,
+    rmsDb: analysis.rmsDb + gain,
+    lufs: analysis.lufs + gain,
+  };
+  const isAlreadyNormalized = Math.abs(gain) < 0.5;
+
+  const applyNormalization = () => {
+    setIsApplying(true);
+
+    // Let the button show its busy state before the encode blocks
+    setTimeout(() => {
+      try {
+        const normalized = applyGain(audioBuffer, gain);
+        onApply(audioBufferToFile(normalized, file.name));
+      } catch (error) {
+        console.error("Normalize error:", error);
+        toast.error("Failed to normalize sound");
+      } finally {
+        setIsApplying(false);
+      }
+    }, 0);
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, height: 0 }}
+      animate={{ opacity: 1, height: "auto" }}
+      className="mb-4 p-3 border border-input rounded-lg"
+    >
+      <div className="grid grid-cols-2 gap-4">
+        {[
+          { title: "Before", levels: analysis },
+          { title: "After", levels: after },
+        ].map(({ title, levels }) => (
+          <div key={title} className="space-y-2">
+            <p className="text-sm font-medium text-foreground">{title}</p>
+            <LevelMeter label="Peak" value={levels.peakDb} unit="dBFS" />
+            <LevelMeter label="RMS" value={levels.rmsDb} unit="dBFS" />
+            <LevelMeter
+              label="Loudness"
+              value={levels.lufs}
+              unit="LUFS"
+              marker={TARGET_LUFS}
+            />
+          </div>
+        ))}
+      </div>
+
+      <p className="text-xs text-muted-foreground mt-3">
+        {isAlreadyNormalized
+          ? "This sound is already close to the target loudness."
+          : `Applies ${gain > 0 ? "+" : ""}${gain.toFixed(1)} dB. ${
+              after.lufs < TARGET_LUFS - 0.5
+                ? `Peaks limit it to ${after.lufs.toFixed(1)} LUFS`
+                : `Reaches ${TARGET_LUFS} LUFS`
+            } with peaks below ${PEAK_CEILING_DB} dBFS.`}
+      </p>
+
+      <div className="flex justify-end gap-2 mt-3">
+        <Button
+          type="button"
+          variant="ghost"
+          onClick={onCancel}
+          className="h-8 px-3 text-foreground"
+        >
+          Cancel
+        </Button>
+        <Button
+          type="button"
+          onClick={applyNormalization}
+          disabled={isApplying || isAlreadyNormalized}
+          className="h-8 px-3 bg-primary hover:bg-primary/90 text-primary-foreground"
+        >
+          <Volume2 size={14} />
+          <span className="ml-1">
+            {isApplying ? "Normalizing..." : "Normalize"}
+          </span>
+        </Button>
+      </div>
+    </motion.div>
+  );
+};
+
+export default LoudnessNormalizer;
@@ -0,0 +1,60 @@
+// src\components\Sounds\RecentSounds.jsx
+import { motion } from "framer-motion";
+import { Clock, Pause, Play, Send } from "lucide-react";
+import { Link } from "react-router-dom";
+import { ROUTES } from "../../config/constants";
+
+// Horizontal strip of the sounds the user last played or sent
+const RecentSounds = ({ sounds, isSoundPlaying, onPlay }) => {
+  if (sounds.length === 0) return null;
+
+  return (
+    <div className="pb-2">
+      <div className="flex items-center justify-between mb-1.5 px-1">
+        <span className="flex items-center gap-1.5 text-xs font-semibold text-muted-foreground uppercase tracking-wider">
+          <Clock size={12} />
+          Recent
+        </span>
+        <Link
+          to={ROUTES.HISTORY}
+          className="text-xs font-medium text-primary hover:underline"
+        >
+          See all
+        </Link>
+      </div>
+
+      <div className="flex gap-2 overflow-x-auto scroll-container pb-1">
+        {sounds.map((sound) => {
+          const isPlaying = isSoundPlaying(sound.id);
+
+          return (
+            <motion.button
+              key={sound.id}
+              type="button"
+              whileTap={{ scale: 0.95 }}
+              onClick={() => onPlay(sound)}
+              title={sound.lastType === "send" ? "Recently sent" : undefined}
+              className={`flex items-center gap-1.5 max-w-[10rem] px-3 py-1.5 rounded-full text-xs font-medium whitespace-nowrap border transition-colors ${
+                isPlaying
+                  ? "bg-primary text-white border-primary"
+                  : "bg-gray-100 text-gray-700 border-gray-200 hover:bg-gray-200"
+              }`}
+            >
+              {isPlaying ? (
+                <Pause size={12} className="flex-shrink-0" />
+              ) : (
+                <Play size={12} className="flex-shrink-0" />
+              )}
+              <span className="truncate">{sound.name}</span>
+              {sound.lastType === "send" && (
+                <Send size={10} className="flex-shrink-0 opacity-60" />
+              )}
+            </motion.button>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default RecentSounds;
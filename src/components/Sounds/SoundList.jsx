@@ -1,53 +1,143 @@
 // src\components\Sounds\SoundList.jsx
-import { useState, useEffect, useRef } from "react";
+import { useState, useEffect, useRef, useMemo } from "react";
+import { useVirtualizer } from "@tanstack/react-virtual";
 import { motion, AnimatePresence } from "framer-motion";
 import { Checkbox } from "../ui/checkbox";
 import { Button } from "../ui/button";
-import { Search, Trash2, Plus, Share2, Download } from "lucide-react";
+import {
+  Search,
+  Trash2,
+  Plus,
+  Share2,
+  Download,
+  Star,
+  ListPlus,
+  Pencil,
+  LayoutGrid,
+  List,
+  DownloadCloud,
+} from "lucide-react";
 import { useNativeShare } from "../../hooks/useNativeShare";
 import {
-  useSounds,
+  useInfiniteSounds,
   useDeleteSound,
   useDeleteMultipleSounds,
 } from "./../../hooks/useSound";
 import toast from "react-hot-toast";
 import { useAuth } from "../../contexts/AuthContext";
 import SoundModal from "./SoundModal";
-import Pagination from "../ui/pagination";
 import { useSelectedSound } from "../../contexts/SelectedSoundContext";
-import { useNavigate } from "react-router-dom";
-import { useFriendList } from "../../hooks/useConnections";
-import { useSendSoundMessage } from "../../hooks/useMessages";
+import {
+  useAudioPlayer,
+  getSoundUrl,
+} from "../../contexts/AudioPlayerContext";
+import { Link, useSearchParams } from "react-router-dom";
+import { PREMIUM_PREVIEW, ROUTES } from "../../config/constants";
 import ShareModal from "../ShareModal";
+import CategoryFilterBar from "./CategoryFilterBar";
+import RecentSounds from "./RecentSounds";
+import SoundboardGrid from "./SoundboardGrid";
+import AddToPlaylistModal from "../Playlists/AddToPlaylistModal";
+import Waveform from "../AudioPlayer/Waveform";
+import {
+  getCachedMetadata,
+  invalidateMetadataCache,
+  loadMetadataCache,
+  loadSoundMetadata,
+} from "../../utils/sound-metadata";
+import {
+  useFavorites,
+  useAddFavorite,
+  useRemoveFavorite,
+  getFavoriteSound,
+} from "../../hooks/useFavorites";
+import SortMenu from "./SortMenu";
+import HighlightText from "../common/HighlightText";
+import { debounce } from "../../lib/utils";
+import { searchSounds } from "../../utils/fuzzy-search";
+import { downloadSoundFile } from "../../utils/sound-download";
+import {
+  getSortOption,
+  loadSortPreference,
+  saveSortPreference,
+  sortSounds,
+} from "../../utils/sound-sort";
+import {
+  useSoundHistory,
+  useRecordSoundHistory,
+} from "../../hooks/useSoundHistory";
+import { getRecentSounds } from "../../utils/sound-history";
+import {
+  useOfflineSounds,
+  useSaveSoundOffline,
+  useRemoveOfflineSound,
+} from "../../hooks/useOfflineSounds";
+import {
+  SOUND_VIEWS,
+  loadSoundView,
+  saveSoundView,
+} from "../../utils/soundboard";
 
-const SoundList = () => {
+const SoundList = ({ favoritesOnly = false }) => {
   const [sounds, setSounds] = useState([]);
   const [filteredSounds, setFilteredSounds] = useState([]);
   const [searchTerm, setSearchTerm] = useState("");
+  // The server is only queried once the user pauses typing
+  const [serverSearchTerm, setServerSearchTerm] = useState("");
+  const updateServerSearch = useMemo(
+    () => debounce((term) => setServerSearchTerm(term.trim()), 300),
+    []
+  );
+  // Last unsearched list, kept as fuzzy candidates the server may not return
+  const browseSoundsRef = useRef([]);
   const [isLoading, setIsLoading] = useState(true);
-  const [currentlyPlayingId, setCurrentlyPlayingId] = useState(null);
   const [selectedSounds, setSelectedSounds] = useState([]);
   const [isAddModalOpen, setIsAddModalOpen] = useState(false);
+  const [editingSound, setEditingSound] = useState(null);
   const [isDeleteModalOpen, setIsDeleteModalOpen] = useState(false);
-  const [currentPage, setCurrentPage] = useState(1);
-  const [totalPages, setTotalPages] = useState(1);
-  const [limit] = useState(1000);
-  const audioRef = useRef(null);
+  const scrollContainerRef = useRef(null);
+  const [searchParams, setSearchParams] = useSearchParams();
+  const selectedCategories = searchParams.getAll("category");
+  const [isMultiCategory, setIsMultiCategory] = useState(
+    selectedCategories.length > 1
+  );
+  const {
+    playSound,
+    stop: stopAudio,
+    seek,
+    isSoundPlaying,
+    currentSound,
+    currentTime,
+    duration: playingDuration,
+  } = useAudioPlayer();
   const { user } = useAuth();
+  const [sortBy, setSortBy] = useState(() => loadSortPreference(user?._id));
+  // Read by async duration loading, which would otherwise see a stale value
+  const sortByRef = useRef(sortBy);
+  sortByRef.current = sortBy;
+  const searchTermRef = useRef(searchTerm);
+  searchTermRef.current = searchTerm;
+  const [soundView, setSoundView] = useState(() => loadSoundView(user?._id));
+  const isGridView = soundView === SOUND_VIEWS.GRID;
+  const { data: historyEntries = [] } = useSoundHistory(user?._id);
+  const { recordPlay, recordSend } = useRecordSoundHistory(user?._id);
+  const { data: offlineSounds = [] } = useOfflineSounds();
+  const offlineIds = useMemo(
+    () => new Set(offlineSounds.map((sound) => sound.id)),
+    [offlineSounds]
+  );
+  const saveOfflineMutation = useSaveSoundOffline();
+  const removeOfflineMutation = useRemoveOfflineSound();
+  const recentSounds = useMemo(
+    () => getRecentSounds(historyEntries),
+    [historyEntries]
+  );
   const [isShareModalOpen, setIsShareModalOpen] = useState(false);
   const [shareData, setShareData] = useState(null);
+  const [playlistSound, setPlaylistSound] = useState(null);
   const { share, canShare } = useNativeShare();
   const API_URL = import.meta.env.VITE_BASE_URL || "";
-  const navigate = useNavigate();
   const { setSelectedSound, clearSelectedSound } = useSelectedSound();
-  const sendSoundMessage = useSendSoundMessage();
-
-  const { data: friendListData, isLoading: isFriendListLoading } =
-    useFriendList();
-  const friends = friendListData?.data?.data?.data || [];
-  const friendIds = !isFriendListLoading
-    ? friends.map((friend) => friend._id)
-    : [];
 
   const isAdmin = user?.role === "ADMIN";
   const isSubscribed = user?.isSubscribed || false;
@@ -68,18 +158,19 @@ const SoundList = () => {
     if (canShare) {
       try {
         await navigator.share(sharePayload);
+        recordSend(selectedSound);
         clearSelectedSound();
         toast.success(`"${selectedSound.name}" sound ready to shared!`);
       } catch (error) {
         if (error.name === "AbortError") {
         } else {
           console.error("Native share failed:", error);
-          setShareData(sharePayload);
+          setShareData({ ...sharePayload, sound: selectedSound });
           setIsShareModalOpen(true);
         }
       }
     } else {
-      setShareData(sharePayload);
+      setShareData({ ...sharePayload, sound: selectedSound });
       setIsShareModalOpen(true);
     }
   };
@@ -91,23 +182,7 @@ const SoundList = () => {
     }
 
     try {
-      const audioUrl = `${import.meta.env.VITE_ASSETS_URL}${sound.link}`;
-      const response = await fetch(audioUrl);
-
-      if (!response.ok) {
-        throw new Error("Download failed");
-      }
-
-      const blob = await response.blob();
-      const url = window.URL.createObjectURL(blob);
-      const link = document.createElement("a");
-      link.href = url;
-      link.download = `${sound.name}.mp3`;
-      document.body.appendChild(link);
-      link.click();
-      document.body.removeChild(link);
-      window.URL.revokeObjectURL(url);
-
+      await downloadSoundFile(getSoundUrl(sound), `${sound.name}.mp3`);
       toast.success(`"${sound.name}" downloaded successfully!`);
     } catch (error) {
       console.error("Download error:", error);
@@ -115,68 +190,81 @@ const SoundList = () => {
     }
   };
 
+  // Merge durations into the list without clobbering selection/search state.
+  // The search is re-applied (sort, then rank) so a duration sort picks up
+  // the new values without losing the relevance order of search results.
+  const applyDurations = (durations) => {
+    const withDuration = (sound) =>
+      durations[sound.id] ? { ...sound, duration: durations[sound.id] } : sound;
+    setSounds((prev) => prev.map(withDuration));
+    setFilteredSounds((prev) =>
+      searchSounds(
+        sortSounds(prev.map(withDuration), sortByRef.current),
+        searchTermRef.current
+      )
+    );
+  };
+
   const loadAudioDurations = async (soundsList) => {
-    const soundsWithDurations = [...soundsList];
+    await loadMetadataCache();
+
+    const cachedDurations = {};
+    const missing = [];
+    soundsList.forEach((sound) => {
+      const cached = getCachedMetadata(sound.id, getSoundUrl(sound));
+      if (cached?.duration) {
+        cachedDurations[sound.id] = formatDuration(cached.duration);
+      } else {
+        missing.push(sound);
+      }
+    });
+    applyDurations(cachedDurations);
+
+    // Only sounds that were never probed hit the asset server
     const BATCH_SIZE = 5;
-    for (let i = 0; i < soundsWithDurations.length; i += BATCH_SIZE) {
-      const batch = soundsWithDurations.slice(i, i + BATCH_SIZE);
-
-      const promises = batch.map((sound, batchIndex) => {
-        return new Promise((resolve) => {
-          const index = i + batchIndex;
-          if (sound.duration && sound.duration !== "00:00") {
-            resolve();
-            return;
-          }
-          const audioUrl = `${import.meta.env.VITE_ASSETS_URL}${sound.link}`;
-          const audio = new Audio();
-          const timeoutId = setTimeout(() => {
-            audio.removeEventListener("loadedmetadata", onLoaded);
-            audio.removeEventListener("error", onError);
-            soundsWithDurations[index].duration = "00:00";
-            resolve();
-          }, 5000);
-
-          const onLoaded = () => {
-            clearTimeout(timeoutId);
-            const duration = formatDuration(audio.duration);
-            soundsWithDurations[index].duration = duration;
-            audio.removeEventListener("loadedmetadata", onLoaded);
-            audio.removeEventListener("error", onError);
-            audio.src = "";
-            resolve();
-          };
-
-          const onError = () => {
-            clearTimeout(timeoutId);
-            console.error(`Error loading audio for ${sound.name}`);
-            soundsWithDurations[index].duration = "00:00";
-            audio.removeEventListener("loadedmetadata", onLoaded);
-            audio.removeEventListener("error", onError);
-            resolve();
-          };
-          audio.addEventListener("loadedmetadata", onLoaded);
-          audio.addEventListener("error", onError);
-          audio.src = audioUrl;
-          audio.preload = "metadata";
-        });
+    for (let i = 0; i < missing.length; i += BATCH_SIZE) {
+      const batch = missing.slice(i, i + BATCH_SIZE);
+      const results = await Promise.all(
+        batch.map((sound) => loadSoundMetadata(sound.id, getSoundUrl(sound)))
+      );
+
+      const batchDurations = {};
+      batch.forEach((sound, index) => {
+        if (results[index].duration) {
+          batchDurations[sound.id] = formatDuration(results[index].duration);
+        }
       });
-      await Promise.all(promises);
-      setSounds([...soundsWithDurations]);
-      setFilteredSounds([...soundsWithDurations]);
+      applyDurations(batchDurations);
     }
-    return soundsWithDurations;
   };
 
   const {
-    data: soundsData,
+    data: soundsPages,
     isLoading: isFetchingData,
     isError,
-  } = useSounds({
-    searchTerm: searchTerm,
-    page: currentPage,
-    limit: limit,
+    fetchNextPage,
+    hasNextPage,
+    isFetchingNextPage,
+  } = useInfiniteSounds({
+    searchTerm: serverSearchTerm,
+    sort: getSortOption(sortBy).serverSort || undefined,
+    category:
+      selectedCategories.length > 1
+        ? selectedCategories
+        : selectedCategories[0],
   });
+  const totalSoundCount = favoritesOnly
+    ? sounds.length
+    : soundsPages?.pages?.[0]?.meta?.total ?? sounds.length;
+
+  const { data: favoritesData, isLoading: isFavoritesLoading } =
+    useFavorites();
+  const favoriteSounds = (favoritesData?.data || [])
+    .map(getFavoriteSound)
+    .filter(Boolean);
+  const favoriteIds = new Set(favoriteSounds.map((sound) => sound._id));
+  const addFavoriteMutation = useAddFavorite();
+  const removeFavoriteMutation = useRemoveFavorite();
 
   // Delete mutations
   const deleteSoundMutation = useDeleteSound();
@@ -192,27 +280,106 @@ const SoundList = () => {
   };
 
   useEffect(() => {
-    if (soundsData && soundsData.data) {
-      const formattedSounds = soundsData.data.map((sound) => ({
-        id: sound._id,
-        name: sound.title,
-        description: sound.description,
-        category: sound.category,
-        isPremium: sound.isPremium,
-        link: sound.link,
-        duration: "00:00",
-        selected: false,
-        isPlaying: false,
-      }));
-      setSounds(formattedSounds);
-      setFilteredSounds(formattedSounds);
-      loadAudioDurations(formattedSounds);
-      setIsLoading(false);
-      if (soundsData.meta) {
-        setTotalPages(soundsData.meta.totalPage);
+    const sourceData = favoritesOnly
+      ? favoritesData && { data: favoriteSounds }
+      : soundsPages && {
+          data: soundsPages.pages.flatMap((page) => page.data || []),
+        };
+
+    // Keep the selection when more pages are appended
+    const selectedIds = new Set(
+      sounds.filter((sound) => sound.selected).map((sound) => sound.id)
+    );
+
+    if (sourceData && sourceData.data) {
+      const formattedSounds = sourceData.data.map((sound) => {
+        const formatted = {
+          id: sound._id,
+          name: sound.title,
+          description: sound.description,
+          category: sound.category,
+          isPremium: sound.isPremium,
+          link: sound.link,
+          createdAt: sound.createdAt,
+          sendCount: sound.sendCount,
+          selected: selectedIds.has(sound._id),
+        };
+        const cached = getCachedMetadata(formatted.id, getSoundUrl(formatted));
+        formatted.duration = cached?.duration
+          ? formatDuration(cached.duration)
+          : "00:00";
+        return formatted;
+      });
+      // The server match is exact, so typos could otherwise lose results
+      // that are already loaded
+      let candidates = formattedSounds;
+      if (!favoritesOnly && !serverSearchTerm) {
+        browseSoundsRef.current = formattedSounds;
+      } else if (!favoritesOnly) {
+        const resultIds = new Set(formattedSounds.map((sound) => sound.id));
+        candidates = [
+          ...formattedSounds,
+          ...browseSoundsRef.current
+            .filter(
+              (sound) =>
+                !resultIds.has(sound.id) &&
+                (selectedCategories.length === 0 ||
+                  selectedCategories.includes(sound.category))
+            )
+            .map((sound) => ({ ...sound, selected: selectedIds.has(sound.id) })),
+        ];
       }
+
+      setSounds(candidates);
+      applySearch(searchTerm, candidates);
+
+      // A fresh sound list drops cache entries for replaced/removed files
+      invalidateMetadataCache(
+        formattedSounds.map((sound) => ({
+          id: sound.id,
+          url: getSoundUrl(sound),
+        })),
+        {
+          complete:
+            !favoritesOnly &&
+            !serverSearchTerm &&
+            selectedCategories.length === 0 &&
+            !hasNextPage,
+        }
+      )
+        .then(() => loadAudioDurations(formattedSounds))
+        .catch((error) => console.error("Duration loading error:", error));
+      setIsLoading(false);
     }
-  }, [soundsData]);
+  }, [soundsPages, favoritesData, favoritesOnly]);
+
+  const rowVirtualizer = useVirtualizer({
+    count: filteredSounds.length,
+    getScrollElement: () => scrollContainerRef.current,
+    estimateSize: () => 64,
+    overscan: 8,
+  });
+  const virtualItems = rowVirtualizer.getVirtualItems();
+  const lastVisibleIndex = virtualItems[virtualItems.length - 1]?.index;
+
+  // Fetch the next page as the user nears the end of what's loaded
+  useEffect(() => {
+    if (favoritesOnly || lastVisibleIndex === undefined) return;
+    if (
+      lastVisibleIndex >= filteredSounds.length - 5 &&
+      hasNextPage &&
+      !isFetchingNextPage
+    ) {
+      fetchNextPage();
+    }
+  }, [
+    favoritesOnly,
+    lastVisibleIndex,
+    filteredSounds.length,
+    hasNextPage,
+    isFetchingNextPage,
+    fetchNextPage,
+  ]);
 
   useEffect(() => {
     const selected = sounds
@@ -220,14 +387,6 @@ const SoundList = () => {
       .map((sound) => sound.id);
     setSelectedSounds(selected);
   }, [sounds]);
-  useEffect(() => {
-    return () => {
-      if (audioRef.current) {
-        audioRef.current.pause();
-        audioRef.current = null;
-      }
-    };
-  }, []);
   const toggleSelect = (id) => {
     if (isAdmin) {
       const updatedSounds = sounds.map((sound) =>
@@ -255,97 +414,52 @@ const SoundList = () => {
     }
   };
 
-  const togglePlaySound = (id) => {
-    const soundToPlay = sounds.find((sound) => sound.id === id);
-    if (!soundToPlay) return;
-
-    // Check if user can play premium sounds
-    if (soundToPlay.isPremium && !isSubscribed) {
-      toast.error(
-        "This is a premium sound. Please upgrade your plan to play premium sounds!"
-      );
+  const togglePlayback = (soundToPlay) => {
+    if (isSoundPlaying(soundToPlay.id)) {
+      stopAudio();
       return;
     }
 
-    const audioUrl = `${import.meta.env.VITE_ASSETS_URL}${soundToPlay.link}`;
-    if (soundToPlay.isPlaying) {
-      if (audioRef.current) {
-        audioRef.current.pause();
-        audioRef.current = null;
-      }
-      const updatedSounds = sounds.map((sound) => ({
-        ...sound,
-        isPlaying: false,
-      }));
-      setSounds(updatedSounds);
-      applySearch(searchTerm, updatedSounds);
-      setCurrentlyPlayingId(null);
-      return;
+    // Non-subscribers get a short preview of premium sounds
+    const isPreview = soundToPlay.isPremium && !isSubscribed;
+    if (isPreview) {
+      toast(`Playing a ${PREMIUM_PREVIEW.DURATION_SECONDS}s preview`);
     }
+    playSound(soundToPlay, { preview: isPreview });
+    recordPlay(soundToPlay);
+  };
 
-    if (audioRef.current) {
-      audioRef.current.pause();
-      audioRef.current = null;
-    }
+  const toggleFavorite = (sound) => {
+    const soundPayload = {
+      _id: sound.id,
+      title: sound.name,
+      description: sound.description,
+      category: sound.category,
+      isPremium: sound.isPremium,
+      link: sound.link,
+    };
 
-    const audio = new Audio(audioUrl);
-    audioRef.current = audio;
-    const updatedSounds = sounds.map((sound) =>
-      sound.id === id
-        ? { ...sound, isPlaying: true }
-        : { ...sound, isPlaying: false }
-    );
-    setSounds(updatedSounds);
-    applySearch(searchTerm, updatedSounds);
-    setCurrentlyPlayingId(id);
-
-    audio.play().catch((error) => {
-      console.error("Error playing audio:", error);
-      toast.error("Failed to play audio");
-      const resetSounds = sounds.map((sound) => ({
-        ...sound,
-        isPlaying: false,
-      }));
-      setSounds(resetSounds);
-      applySearch(searchTerm, resetSounds);
-      setCurrentlyPlayingId(null);
-      audioRef.current = null;
-    });
+    if (favoriteIds.has(sound.id)) {
+      removeFavoriteMutation.mutate(soundPayload);
+    } else {
+      addFavoriteMutation.mutate(soundPayload);
+    }
+  };
 
-    audio.onended = () => {
-      const updatedSounds = sounds.map((sound) => ({
-        ...sound,
-        isPlaying: false,
-      }));
-      setSounds(updatedSounds);
-      applySearch(searchTerm, updatedSounds);
-      setCurrentlyPlayingId(null);
-      audioRef.current = null;
+  const toOfflineRow = (sound) => {
+    const cached = getCachedMetadata(sound.id, getSoundUrl(sound));
+    return {
+      ...sound,
+      duration: cached?.duration ? formatDuration(cached.duration) : "00:00",
+      selected: false,
     };
   };
 
-  const sendToFriend = () => {
-    const selectedSound = sounds.find((sound) => sound.selected);
-    if (selectedSound) {
-      sendSoundMessage.mutate(
-        {
-          users: friendIds,
-          link: `${API_URL}${selectedSound?.link}`,
-          soundTitle: selectedSound?.name || undefined,
-        },
-        {
-          onSuccess: () => {
-            toast.success(
-              `Sound "${selectedSound.name}" sent successfully! to all friends`
-            );
-            clearSelectedSound();
-            navigate("/all-friends");
-          },
-        }
-      );
+  const toggleOffline = (sound) => {
+    if (offlineIds.has(sound.id)) {
+      removeOfflineMutation.mutate(sound);
     } else {
-      toast.error("No sound selected. Please select a sound first!");
-      clearSelectedSound();
+      saveOfflineMutation.mutate(sound);
     }
   };
 
@@ -366,91 +480,215 @@ const SoundList = () => {
     const term = e.target.value;
     setSearchTerm(term);
     applySearch(term, sounds);
+    updateServerSearch(term);
   };
 
+  // Rank locally on every keystroke; the chosen sort breaks ties
   const applySearch = (term, soundList) => {
-    if (!term || !term.trim()) {
-      setFilteredSounds(soundList);
-    } else {
-      const filtered = soundList.filter((sound) =>
-        sound.name.toLowerCase().includes(term.toLowerCase())
-      );
-      setFilteredSounds(filtered);
-    }
+    setFilteredSounds(
+      searchSounds(sortSounds(soundList, sortByRef.current), term)
+    );
   };
 
-  const handlePageChange = (page) => {
-    setCurrentPage(page);
+  // The sort and layout are remembered per user
+  useEffect(() => {
+    setSortBy(loadSortPreference(user?._id));
+    setSoundView(loadSoundView(user?._id));
+  }, [user?._id]);
+
+  const toggleSoundView = () => {
+    const nextView = isGridView ? SOUND_VIEWS.LIST : SOUND_VIEWS.GRID;
+    setSoundView(nextView);
+    saveSoundView(user?._id, nextView);
   };
 
-  const AudioWave = ({ isPlaying }) => {
-    const generateLines = () => {
-      const lineCount = 67;
-      const lines = [];
-
-      for (let i = 0; i < lineCount; i++) {
-        const minHeight = isPlaying ? 5 : 8;
-        const maxHeight = isPlaying ? 18 : 14;
-        const height =
-          Math.floor(Math.random() * (maxHeight - minHeight + 1)) + minHeight;
-        lines.push(height);
-      }
+  useEffect(() => {
+    applySearch(searchTerm, sounds);
+  }, [sortBy]);
 
-      return lines;
-    };
+  const handleSortChange = (value) => {
+    setSortBy(value);
+    saveSortPreference(user?._id, value);
+  };
+
+  const handleCategoryChange = (categories) => {
+    const nextParams = new URLSearchParams(searchParams);
+    nextParams.delete("category");
+    categories.forEach((category) => nextParams.append("category", category));
+    setSearchParams(nextParams, { replace: true });
+  };
+
+  const renderSoundRow = (sound) => (
+    <div
+      className={`flex items-center p-3 rounded-lg ${
+        sound.selected
+          ? "border bg-blue-50 text-black border-blue-200"
+          : ""
+      } hover:bg-gray-50 hover:text-black transition-colors`}
+    >
+      <div
+        className="flex items-center cursor-pointer"
+        onClick={() => toggleSelect(sound.id)}
+      >
+        <Checkbox
+          id={`sound-${sound.id}`}
+          checked={sound.selected}
+          onCheckedChange={() => toggleSelect(sound.id)}
+          className="w-5 h-5 border-2 border-gray-300 rounded mr-3"
+        />
+        <div className="mr-3">
+          <p className="text-sm font-medium">
+            <Link
+              to={ROUTES.SOUND_DETAILS.replace(":id", sound.id)}
+              onClick={(e) => e.stopPropagation()}
+              className="hover:underline"
+            >
+              <HighlightText text={sound.name} ranges={sound.matches?.name} />
+            </Link>
+          </p>
+          <p className="text-xs text-muted-foreground">
+            {sound.duration}
+            {sound.isPremium && (
+              <span className="ml-2 text-amber-500 font-medium">
+                Premium
+              </span>
+            )}
+          </p>
+          {/* Show where the search matched when it wasn't the title */}
+          {(sound.matches?.category || sound.matches?.description) && (
+            <p className="text-xs text-muted-foreground truncate max-w-[12rem]">
+              <HighlightText
+                text={sound.category}
+                ranges={sound.matches?.category}
+              />
+              {sound.matches?.description && (
+                <>
+                  {" · "}
+                  <HighlightText
+                    text={sound.description}
+                    ranges={sound.matches.description}
+                  />
+                </>
+              )}
+            </p>
+          )}
+        </div>
+      </div>
+
+      <div className="flex-1 mx-2">
+        {/* Waveform decoded from the sound itself */}
+        <Waveform
+          soundId={sound.id}
+          url={`${import.meta.env.VITE_ASSETS_URL}${sound.link}`}
+          isActive={currentSound?.id === sound.id}
+          progress={
+            currentSound?.id === sound.id && playingDuration
+              ? currentTime / playingDuration
+              : 0
+          }
+          onSeek={
+            currentSound?.id === sound.id
+              ? (fraction) => seek(fraction * playingDuration)
+              : undefined
+          }
+        />
+      </div>
+
+      <div className="flex items-center gap-2">
+        {isAdmin && (
+          <motion.button
+            whileHover={{ scale: 1.05 }}
+            whileTap={{ scale: 0.95 }}
+            onClick={() => setEditingSound(sound)}
+            className="rounded-full w-8 h-8 flex items-center justify-center text-gray-500 hover:bg-gray-100 transition-colors"
+            title="Edit Sound"
+          >
+            <Pencil size={16} />
+          </motion.button>
+        )}
 
-    const [waveLines, setWaveLines] = useState(generateLines());
-    const [animationSpeed] = useState(150);
-
-    useEffect(() => {
-      let animationTimer;
-
-      if (isPlaying) {
-        animationTimer = setInterval(() => {
-          setWaveLines((prevLines) => {
-            const newLines = [...prevLines];
-            for (let i = 0; i < 10; i++) {
-              const randomIndex = Math.floor(Math.random() * newLines.length);
-              const minHeight = 5;
-              const maxHeight = 18;
-              newLines[randomIndex] =
-                Math.floor(Math.random() * (maxHeight - minHeight + 1)) +
-                minHeight;
+        <motion.button
+          whileHover={{ scale: 1.05 }}
+          whileTap={{ scale: 0.95 }}
+          onClick={() => toggleFavorite(sound)}
+          className="rounded-full w-8 h-8 flex items-center justify-center hover:bg-gray-100 transition-colors"
+          title={
+            favoriteIds.has(sound.id)
+              ? "Remove from Favorites"
+              : "Add to Favorites"
+          }
+        >
+          <Star
+            size={16}
+            className={
+              favoriteIds.has(sound.id)
+                ? "fill-amber-400 text-amber-400"
+                : "text-gray-400"
             }
-            return newLines;
-          });
-        }, animationSpeed);
-      }
+          />
+        </motion.button>
+
+        <motion.button
+          whileHover={{ scale: 1.05 }}
+          whileTap={{ scale: 0.95 }}
+          onClick={() => setPlaylistSound(sound)}
+          className="rounded-full w-8 h-8 flex items-center justify-center text-gray-500 hover:bg-gray-100 transition-colors"
+          title="Add to Playlist"
+        >
+          <ListPlus size={16} />
+        </motion.button>
+
+        {/* Save for offline - only for subscribed users */}
+        {isSubscribed && (
+          <motion.button
+            whileHover={{ scale: 1.05 }}
+            whileTap={{ scale: 0.95 }}
+            onClick={() => toggleOffline(sound)}
+            disabled={
+              saveOfflineMutation.isPending &&
+              saveOfflineMutation.variables?.id === sound.id
+            }
+            className={`rounded-full w-8 h-8 flex items-center justify-center hover:bg-gray-100 transition-colors disabled:opacity-50 ${
+              offlineIds.has(sound.id) ? "text-green-600" : "text-gray-500"
+            }`}
+            title={
+              offlineIds.has(sound.id)
+                ? "Remove from offline sounds"
+                : "Save for offline"
+            }
+          >
+            <DownloadCloud size={16} />
+          </motion.button>
+        )}
 
-      return () => {
-        if (animationTimer) {
-          clearInterval(animationTimer);
-        }
-      };
-    }, [isPlaying, animationSpeed]);
+        {/* Download button - only for subscribed users */}
+        {isSubscribed && (
+          <motion.button
+            whileHover={{ scale: 1.05 }}
+            whileTap={{ scale: 0.95 }}
+            onClick={() => downloadSound(sound)}
+            className="rounded-full w-10 h-8 flex items-center justify-center text-white bg-green-500 hover:bg-green-600 transition-colors shadow-sm"
+            title="Download Sound"
+          >
+            <Download size={14} />
+          </motion.button>
+        )}
 
-    return (
-      <svg viewBox={`0 0 ${waveLines.length * 2} 24`} className="w-full h-8">
-        {waveLines.map((height, index) => {
-          const startY = 12 - height / 2;
-          const endY = 12 + height / 2;
-
-          return (
-            <line
-              key={index}
-              x1={index * 2}
-              y1={startY}
-              x2={index * 2}
-              y2={endY}
-              stroke={isPlaying ? "#00ae34" : "#D1D5DB"}
-              strokeWidth="0.5"
-              strokeLinecap="round"
-            />
-          );
-        })}
-      </svg>
-    );
-  };
+        <motion.button
+          whileHover={{ scale: 1.05 }}
+          whileTap={{ scale: 0.95 }}
+          onClick={() => togglePlayback(sound)}
+          className={`rounded-full w-16 h-8 flex items-center justify-center text-white text-xs font-medium ${
+            isSoundPlaying(sound.id)
+              ? "bg-red-500 hover:bg-red-600"
+              : "bg-primary hover:bg-blue-600"
+          } transition-colors shadow-sm`}
+        >
+          {isSoundPlaying(sound.id) ? "Stop" : "Play"}
+        </motion.button>
+      </div>
+    </div>
+  );
 
   const DeleteModal = () => {
     if (!isDeleteModalOpen) return null;
@@ -523,6 +761,18 @@ const SoundList = () => {
             <Search className="absolute left-3 top-3 h-5 w-5 text-muted-foreground" />
           </div>
 
+          <SortMenu value={sortBy} onChange={handleSortChange} />
+
+          <motion.button
+            type="button"
+            whileTap={{ scale: 0.95 }}
+            onClick={toggleSoundView}
+            title={isGridView ? "List view" : "Soundboard view"}
+            className="p-3 mb-1 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition-colors"
+          >
+            {isGridView ? <List size={20} /> : <LayoutGrid size={20} />}
+          </motion.button>
+
           {isAdmin && (
             <Button
               onClick={() => setIsAddModalOpen(true)}
@@ -534,6 +784,23 @@ const SoundList = () => {
           )}
         </div>
 
+        {!favoritesOnly && (
+          <CategoryFilterBar
+            selectedCategories={selectedCategories}
+            onChange={handleCategoryChange}
+            isMultiSelect={isMultiCategory}
+            onMultiSelectChange={setIsMultiCategory}
+          />
+        )}
+
+        {!favoritesOnly && !searchTerm && (
+          <RecentSounds
+            sounds={recentSounds}
+            isSoundPlaying={isSoundPlaying}
+            onPlay={togglePlayback}
+          />
+        )}
+
         {isAdmin && (
           <motion.div
             initial={{ opacity: 0, y: -10 }}
@@ -547,7 +814,7 @@ const SoundList = () => {
                 <span className="text-sm font-medium text-blue-800">
                   Total Sounds:
                   <span className="ml-1 px-2 py-1 bg-blue-600 text-white rounded-full text-xs font-semibold">
-                    {sounds.length}
+                    {totalSoundCount}
                   </span>
                 </span>
               </div>
@@ -623,10 +890,26 @@ const SoundList = () => {
         </div>
       </div>
 
-      {/* Sound List - Only this section scrolls */}
-      <div className="overflow-y-auto scroll-container flex-1 my-2">
+      {/* Sound List - Only this section scrolls, and only visible rows mount */}
+      <div
+        ref={scrollContainerRef}
+        className="overflow-y-auto scroll-container flex-1 my-2"
+      >
         <AnimatePresence>
-          {isLoading || isFetchingData ? (
+          {isError && offlineSounds.length > 0 ? (
+            // The library can't be reached, but saved sounds still play
+            <div className="space-y-2">
+              <p className="text-xs text-muted-foreground text-center py-1">
+                Can't reach the library. Showing sounds saved for offline.
+              </p>
+              {offlineSounds.map((sound) => (
+                <div key={sound.id}>
+                  {renderSoundRow(toOfflineRow(sound))}
+                </div>
+              ))}
+            </div>
+          ) : isLoading ||
+            (favoritesOnly ? isFavoritesLoading : isFetchingData) ? (
             <motion.div
               initial={{ opacity: 1 }}
               animate={{ opacity: 1 }}
@@ -642,103 +925,52 @@ const SoundList = () => {
             >
               <p className="text-red-500">Error loading sounds</p>
             </motion.div>
+          ) : filteredSounds.length > 0 && isGridView ? (
+            <SoundboardGrid
+              sounds={filteredSounds}
+              userId={user?._id}
+              isSubscribed={isSubscribed}
+              onPlay={recordPlay}
+              hasMore={!favoritesOnly && hasNextPage}
+              onLoadMore={fetchNextPage}
+              isLoadingMore={isFetchingNextPage}
+            />
           ) : filteredSounds.length > 0 ? (
-            <motion.div className="space-y-2 opacity-100">
-              {filteredSounds.map((sound) => (
-                <motion.div
-                  key={sound.id}
-                  initial={{ opacity: 1, y: 10 }}
-                  animate={{ opacity: 1, y: 0 }}
-                  exit={{ opacity: 0, scale: 0.95 }}
-                  transition={{ duration: 0.2 }}
-                  className={`flex items-center p-3 rounded-lg ${
-                    sound.selected
-                      ? "border bg-blue-50 text-black border-blue-200"
-                      : ""
-                  } hover:bg-gray-50 hover:text-black transition-colors`}
+            <div
+              className="relative w-full"
+              style={{ height: `${rowVirtualizer.getTotalSize()}px` }}
+            >
+              {virtualItems.map((virtualRow) => (
+                <div
+                  key={filteredSounds[virtualRow.index].id}
+                  data-index={virtualRow.index}
+                  ref={rowVirtualizer.measureElement}
+                  className="absolute top-0 left-0 w-full pb-2"
+                  style={{ transform: `translateY(${virtualRow.start}px)` }}
                 >
-                  <div
-                    className="flex items-center cursor-pointer"
-                    onClick={() => toggleSelect(sound.id)}
-                  >
-                    <Checkbox
-                      id={`sound-${sound.id}`}
-                      checked={sound.selected}
-                      onCheckedChange={() => toggleSelect(sound.id)}
-                      className="w-5 h-5 border-2 border-gray-300 rounded mr-3"
-                    />
-                    <div className="mr-3">
-                      <p className="text-sm font-medium">{sound.name}</p>
-                      <p className="text-xs text-muted-foreground">
-                        {sound.duration}
-                        {sound.isPremium && (
-                          <span className="ml-2 text-amber-500 font-medium">
-                            Premium
-                          </span>
-                        )}
-                      </p>
-                    </div>
-                  </div>
-
-                  <div className="flex-1 mx-2">
-                    {/* Dynamic waveform */}
-                    <AudioWave isPlaying={sound.isPlaying} />
-                  </div>
-
-                  <div className="flex items-center gap-2">
-                    {/* Download button - only for subscribed users */}
-                    {isSubscribed && (
-                      <motion.button
-                        whileHover={{ scale: 1.05 }}
-                        whileTap={{ scale: 0.95 }}
-                        onClick={() => downloadSound(sound)}
-                        className="rounded-full w-10 h-8 flex items-center justify-center text-white bg-green-500 hover:bg-green-600 transition-colors shadow-sm"
-                        title="Download Sound"
-                      >
-                        <Download size={14} />
-                      </motion.button>
-                    )}
-
-                    <motion.button
-                      whileHover={{ scale: 1.05 }}
-                      whileTap={{ scale: 0.95 }}
-                      onClick={() => togglePlaySound(sound.id)}
-                      className={`rounded-full w-16 h-8 flex items-center justify-center text-white text-xs font-medium ${
-                        sound.isPlaying
-                          ? "bg-red-500 hover:bg-red-600"
-                          : "bg-primary hover:bg-blue-600"
-                      } transition-colors shadow-sm`}
-                    >
-                      {sound.isPlaying ? "Stop" : "Play"}
-                    </motion.button>
-                  </div>
-                </motion.div>
+                  {renderSoundRow(filteredSounds[virtualRow.index])}
+                </div>
               ))}
-            </motion.div>
+            </div>
           ) : (
             <motion.div
               initial={{ opacity: 0 }}
               animate={{ opacity: 1 }}
               className="flex flex-col items-center justify-center h-64"
             >
-              <p className="text-muted-foreground">No sounds found</p>
+              <p className="text-muted-foreground">
+                {favoritesOnly ? "No favorite sounds yet" : "No sounds found"}
+              </p>
             </motion.div>
           )}
         </AnimatePresence>
-      </div>
 
-      {/* Pagination */}
-      {totalPages > 1 && (
-        <div className="mt-4 mb-4">
-          <div className="flex justify-center">
-            <Pagination
-              totalPages={totalPages}
-              currentPage={currentPage}
-              onPageChange={handlePageChange}
-            />
-          </div>
-        </div>
-      )}
+        {isFetchingNextPage && (
+          <p className="text-center text-xs text-muted-foreground py-2">
+            Loading more sounds...
+          </p>
+        )}
+      </div>
 
       {/* Modals */}
       <DeleteModal />
@@ -748,11 +980,29 @@ const SoundList = () => {
           onClose={() => setIsAddModalOpen(false)}
         />
       )}
+
+      {editingSound && (
+        <SoundModal
+          isOpen={!!editingSound}
+          onClose={() => setEditingSound(null)}
+          sound={editingSound}
+        />
+      )}
+      {playlistSound && (
+        <AddToPlaylistModal
+          isOpen={!!playlistSound}
+          onClose={() => setPlaylistSound(null)}
+          sound={playlistSound}
+        />
+      )}
       {isShareModalOpen && (
         <ShareModal
           isOpen={isShareModalOpen}
           onClose={() => setIsShareModalOpen(false)}
           shareData={shareData}
+          onShare={(platform) =>
+            recordSend(shareData.sound, [{ id: null, name: platform }])
+          }
         />
       )}
     </motion.div>
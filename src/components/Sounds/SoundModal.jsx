@@ -1,12 +1,28 @@
 // src\components\Sounds\SoundModal.jsx
-import { useState } from "react";
+import { useEffect, useState } from "react";
 import { motion } from "framer-motion";
 import { Button } from "../ui/button";
-import { X, Upload, Music } from "lucide-react";
-import { useAddSound } from "../../hooks/useSound";
+import { X, Upload, Music, Scissors, Volume2 } from "lucide-react";
+import {
+  useAddSound,
+  useAllSounds,
+  useUpdateSound,
+} from "../../hooks/useSound";
 import toast from "react-hot-toast";
+import { SOUND_CATEGORIES } from "../../config/constants";
+import { getSoundFileError } from "../../utils/sound-file";
+import BulkSoundUploader from "./BulkSoundUploader";
+import TrimEditor from "./TrimEditor";
+import LoudnessNormalizer from "./LoudnessNormalizer";
+import UploadValidationReport from "./UploadValidationReport";
+import {
+  getUncheckedReport,
+  inspectSoundFile,
+} from "../../utils/sound-validation";
 
-const SoundModal = ({ isOpen, onClose }) => {
+// Pass `sound` to edit an existing sound instead of adding a new one
+const SoundModal = ({ isOpen, onClose, sound = null }) => {
+  const isEditMode = !!sound;
   const [title, setTitle] = useState("");
   const [description, setDescription] = useState("");
   const [category, setCategory] = useState("Celebration");
@@ -15,8 +31,66 @@ const SoundModal = ({ isOpen, onClose }) => {
   const [fileName, setFileName] = useState("");
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [errors, setErrors] = useState({});
+  const [isDragging, setIsDragging] = useState(false);
+  const [isBulkMode, setIsBulkMode] = useState(false);
+  const [bulkFiles, setBulkFiles] = useState([]);
+  // Editing tool open on the selected file: "trim" | "normalize" | null
+  const [activeTool, setActiveTool] = useState(null);
+  const [validation, setValidation] = useState({
+    report: null,
+    isChecking: false,
+  });
 
   const addSoundMutation = useAddSound();
+  const updateSoundMutation = useUpdateSound();
+  // The library is only needed to look for duplicates of a chosen file
+  const { data: libraryData, isLoading: isLibraryLoading } = useAllSounds({
+    enabled: isOpen && !!selectedFile,
+  });
+
+  // Inspect every file that gets chosen, including trimmed/normalized ones
+  useEffect(() => {
+    if (!selectedFile) {
+      setValidation({ report: null, isChecking: false });
+      return;
+    }
+
+    setValidation({ report: null, isChecking: true });
+    if (isLibraryLoading) return;
+
+    let cancelled = false;
+    inspectSoundFile(selectedFile, {
+      librarySounds: libraryData?.data ?? null,
+      excludeSoundId: sound?.id,
+    })
+      .catch((error) => {
+        console.error("Sound inspection error:", error);
+        return getUncheckedReport();
+      })
+      .then((report) => {
+        if (!cancelled) setValidation({ report, isChecking: false });
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [selectedFile, libraryData, isLibraryLoading]);
+
+  // Fill the form from the sound being edited, or start blank
+  useEffect(() => {
+    if (!isOpen) return;
+
+    setTitle(sound?.name || "");
+    setDescription(sound?.description || "");
+    setCategory(sound?.category || "Celebration");
+    setIsPremium(!!sound?.isPremium);
+    setSelectedFile(null);
+    setFileName("");
+    setErrors({});
+    setIsBulkMode(false);
+    setBulkFiles([]);
+    setActiveTool(null);
+  }, [isOpen, sound?.id]);
 
   // Form validation
   const validateForm = () => {
@@ -24,32 +98,58 @@ const SoundModal = ({ isOpen, onClose }) => {
 
     if (!title.trim()) newErrors.title = "Title is required";
     if (!description.trim()) newErrors.description = "Description is required";
-    if (!selectedFile) newErrors.file = "Sound file is required";
+    // Editing keeps the current file unless a new one is chosen
+    if (!selectedFile && !isEditMode) newErrors.file = "Sound file is required";
+    if (selectedFile && validation.isChecking) {
+      newErrors.file = "Still checking the file, please wait";
+    } else if (selectedFile && validation.report && !validation.report.isValid) {
+      newErrors.file = "This file didn't pass validation";
+    }
 
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
   };
 
+  const selectFile = (file) => {
+    const fileError = getSoundFileError(file);
+    if (fileError) {
+      toast.error(fileError);
+      return;
+    }
+
+    setSelectedFile(file);
+    setFileName(file.name);
+    setErrors({ ...errors, file: undefined });
+    setActiveTool(null);
+  };
+
+  const handleTrimApply = (trimmedFile) => {
+    selectFile(trimmedFile);
+    toast.success("Sound trimmed");
+  };
+
+  const handleNormalizeApply = (normalizedFile) => {
+    selectFile(normalizedFile);
+    toast.success("Loudness normalized");
+  };
+
   // Handle file change
   const handleFileChange = (e) => {
     const file = e.target.files[0];
+    if (file) selectFile(file);
+  };
 
-    if (file) {
-      // Check if file is audio
-      if (!file.type.startsWith("audio/")) {
-        toast.error("Please select an audio file");
-        return;
-      }
-
-      // Check file size (max 200MB)
-      if (file.size > 200 * 1024 * 1024) {
-        toast.error("File size should be less than 200MB");
-        return;
-      }
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setIsDragging(false);
 
-      setSelectedFile(file);
-      setFileName(file.name);
-      setErrors({ ...errors, file: undefined });
+    const files = Array.from(e.dataTransfer.files);
+    // Several files at once go to the bulk uploader
+    if (files.length > 1 && !isEditMode) {
+      setBulkFiles(files);
+      setIsBulkMode(true);
+    } else if (files[0]) {
+      selectFile(files[0]);
     }
   };
 
@@ -59,6 +159,35 @@ const SoundModal = ({ isOpen, onClose }) => {
 
     if (!validateForm()) return;
 
+    if (isEditMode) {
+      const update = {
+        id: sound.id,
+        title,
+        description,
+        category,
+        isPremium,
+        soundFile: selectedFile,
+      };
+
+      // Metadata changes show up optimistically, so only wait for uploads
+      if (!selectedFile) {
+        updateSoundMutation.mutate(update);
+        onClose();
+        return;
+      }
+
+      setIsSubmitting(true);
+      try {
+        await updateSoundMutation.mutateAsync(update);
+        onClose();
+      } catch (error) {
+        console.error("Error updating sound:", error);
+      } finally {
+        setIsSubmitting(false);
+      }
+      return;
+    }
+
     setIsSubmitting(true);
 
     // console.log(
@@ -95,18 +224,6 @@ const SoundModal = ({ isOpen, onClose }) => {
     }
   };
 
-  // Categories for sounds - matched with backend soundCategories
-  const categories = [
-    { value: "Scary", label: "Scary" },
-    { value: "Relaxing", label: "Relaxing" },
-    { value: "Futuristic", label: "Futuristic" },
-    { value: "Celebration", label: "Celebration" },
-    { value: "Action", label: "Action" },
-    { value: "Romantic", label: "Romantic" },
-    { value: "Educational", label: "Educational" },
-    { value: "Ambient", label: "Ambient" },
-  ];
-
   if (!isOpen) return null;
 
   return (
@@ -117,7 +234,13 @@ const SoundModal = ({ isOpen, onClose }) => {
         className="bg-background border border-border rounded-lg p-6 w-full max-w-md shadow-lg"
       >
         <div className="flex justify-between items-center mb-6">
-          <h2 className="text-xl font-bold text-foreground">Add New Sound</h2>
+          <h2 className="text-xl font-bold text-foreground">
+            {isEditMode
+              ? "Edit Sound"
+              : isBulkMode
+              ? "Upload Sounds"
+              : "Add New Sound"}
+          </h2>
           <Button
             onClick={onClose}
             variant="ghost"
@@ -127,181 +250,287 @@ const SoundModal = ({ isOpen, onClose }) => {
           </Button>
         </div>
 
-        <form onSubmit={handleSubmit}>
-          {/* Title input */}
-          <div className="mb-4">
-            <label
-              htmlFor="title"
-              className="block text-sm font-medium mb-1 text-foreground"
-            >
-              Title <span className="text-destructive">*</span>
-            </label>
-            <input
-              type="text"
-              id="title"
-              value={title}
-              onChange={(e) => setTitle(e.target.value)}
-              className={`w-full p-2 bg-background border rounded-md text-foreground ${
-                errors.title ? "border-destructive" : "border-input"
-              }`}
-              placeholder="Enter sound title"
-            />
-            {errors.title && (
-              <p className="text-destructive text-xs mt-1">{errors.title}</p>
-            )}
-          </div>
-
-          {/* Description input */}
-          <div className="mb-4">
-            <label
-              htmlFor="description"
-              className="block text-sm font-medium mb-1 text-foreground"
-            >
-              Description <span className="text-destructive">*</span>
-            </label>
-            <textarea
-              id="description"
-              value={description}
-              onChange={(e) => setDescription(e.target.value)}
-              className={`w-full p-2 bg-background border rounded-md text-foreground ${
-                errors.description ? "border-destructive" : "border-input"
-              }`}
-              placeholder="Enter sound description"
-              rows={3}
-            />
-            {errors.description && (
-              <p className="text-destructive text-xs mt-1">
-                {errors.description}
-              </p>
-            )}
+        {/* Single or bulk upload when adding */}
+        {!isEditMode && (
+          <div className="flex gap-1 p-1 mb-4 bg-gray-100 rounded-lg text-sm">
+            {[
+              { value: false, label: "Single" },
+              { value: true, label: "Bulk" },
+            ].map((mode) => (
+              <button
+                key={mode.label}
+                type="button"
+                onClick={() => setIsBulkMode(mode.value)}
+                className={`flex-1 py-1.5 rounded-md font-medium transition-colors ${
+                  isBulkMode === mode.value
+                    ? "bg-white text-black shadow-sm"
+                    : "text-gray-500 hover:text-gray-700"
+                }`}
+              >
+                {mode.label}
+              </button>
+            ))}
           </div>
+        )}
 
-          {/* Category select */}
-          <div className="mb-4">
-            <label
-              htmlFor="category"
-              className="block text-sm font-medium mb-1 text-foreground"
-            >
-              Category
-            </label>
-            <select
-              id="category"
-              value={category}
-              onChange={(e) => setCategory(e.target.value)}
-              className="w-full p-2 bg-background border border-input rounded-md text-foreground"
-            >
-              {categories.map((cat) => (
-                <option key={cat.value} value={cat.value}>
-                  {cat.label}
-                </option>
-              ))}
-            </select>
-          </div>
+        {isBulkMode ? (
+          <BulkSoundUploader initialFiles={bulkFiles} onClose={onClose} />
+        ) : (
+          <form onSubmit={handleSubmit}>
+            {/* Title input */}
+            <div className="mb-4">
+              <label
+                htmlFor="title"
+                className="block text-sm font-medium mb-1 text-foreground"
+              >
+                Title <span className="text-destructive">*</span>
+              </label>
+              <input
+                type="text"
+                id="title"
+                value={title}
+                onChange={(e) => setTitle(e.target.value)}
+                className={`w-full p-2 bg-background border rounded-md text-foreground ${
+                  errors.title ? "border-destructive" : "border-input"
+                }`}
+                placeholder="Enter sound title"
+              />
+              {errors.title && (
+                <p className="text-destructive text-xs mt-1">{errors.title}</p>
+              )}
+            </div>
 
-          {/* Premium toggle */}
-          <div className="mb-4">
-            <div className="flex items-center justify-between">
+            {/* Description input */}
+            <div className="mb-4">
               <label
-                htmlFor="isPremium"
-                className="text-sm font-medium text-foreground"
+                htmlFor="description"
+                className="block text-sm font-medium mb-1 text-foreground"
               >
-                Premium Content
+                Description <span className="text-destructive">*</span>
               </label>
+              <textarea
+                id="description"
+                value={description}
+                onChange={(e) => setDescription(e.target.value)}
+                className={`w-full p-2 bg-background border rounded-md text-foreground ${
+                  errors.description ? "border-destructive" : "border-input"
+                }`}
+                placeholder="Enter sound description"
+                rows={3}
+              />
+              {errors.description && (
+                <p className="text-destructive text-xs mt-1">
+                  {errors.description}
+                </p>
+              )}
+            </div>
+
+            {/* Category select */}
+            <div className="mb-4">
               <label
-                className="relative inline-flex items-center cursor-pointer"
-                htmlFor="isPremium"
+                htmlFor="category"
+                className="block text-sm font-medium mb-1 text-foreground"
               >
-                <input
-                  type="checkbox"
-                  id="isPremium"
-                  checked={isPremium}
-                  onChange={() => setIsPremium(!isPremium)}
-                  className="sr-only"
-                />
-                <div
-                  className={`w-11 h-6 rounded-full transition-colors ${
-                    isPremium ? "bg-primary" : "bg-gray-300 dark:bg-gray-600"
-                  }`}
+                Category
+              </label>
+              <select
+                id="category"
+                value={category}
+                onChange={(e) => setCategory(e.target.value)}
+                className="w-full p-2 bg-background border border-input rounded-md text-foreground"
+              >
+                {SOUND_CATEGORIES.map((cat) => (
+                  <option key={cat.value} value={cat.value}>
+                    {cat.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            {/* Premium toggle */}
+            <div className="mb-4">
+              <div className="flex items-center justify-between">
+                <label
+                  htmlFor="isPremium"
+                  className="text-sm font-medium text-foreground"
+                >
+                  Premium Content
+                </label>
+                <label
+                  className="relative inline-flex items-center cursor-pointer"
+                  htmlFor="isPremium"
                 >
+                  <input
+                    type="checkbox"
+                    id="isPremium"
+                    checked={isPremium}
+                    onChange={() => setIsPremium(!isPremium)}
+                    className="sr-only"
+                  />
                   <div
-                    className={`${
-                      isPremium ? "translate-x-6" : "translate-x-1"
-                    } inline-block mt-1 w-4 h-4 transform bg-white rounded-full transition-transform`}
-                  ></div>
-                </div>
-              </label>
+                    className={`w-11 h-6 rounded-full transition-colors ${
+                      isPremium ? "bg-primary" : "bg-gray-300 dark:bg-gray-600"
+                    }`}
+                  >
+                    <div
+                      className={`${
+                        isPremium ? "translate-x-6" : "translate-x-1"
+                      } inline-block mt-1 w-4 h-4 transform bg-white rounded-full transition-transform`}
+                    ></div>
+                  </div>
+                </label>
+              </div>
+              <p className="text-xs text-muted-foreground mt-1">
+                Toggle on to make this sound available only to premium users
+              </p>
             </div>
-            <p className="text-xs text-muted-foreground mt-1">
-              Toggle on to make this sound available only to premium users
-            </p>
-          </div>
 
-          {/* File upload */}
-          <div className="mb-6">
-            <label className="block text-sm font-medium mb-1 text-foreground">
-              Sound File <span className="text-destructive">*</span>
-            </label>
-            <div
-              className={`border-2 border-dashed rounded-lg p-4 text-center cursor-pointer hover:bg-accent/50 transition-colors ${
-                errors.file ? "border-destructive" : "border-input"
-              }`}
-              onClick={() => document.getElementById("soundFile").click()}
-            >
-              <input
-                type="file"
-                id="soundFile"
-                accept="audio/*"
-                onChange={handleFileChange}
-                className="hidden"
-              />
+            {/* File upload */}
+            <div className="mb-6">
+              <label className="block text-sm font-medium mb-1 text-foreground">
+                {isEditMode ? (
+                  "Replace Sound File"
+                ) : (
+                  <>
+                    Sound File <span className="text-destructive">*</span>
+                  </>
+                )}
+              </label>
+              <div
+                className={`border-2 border-dashed rounded-lg p-4 text-center cursor-pointer hover:bg-accent/50 transition-colors ${
+                  errors.file
+                    ? "border-destructive"
+                    : isDragging
+                    ? "border-primary bg-accent/50"
+                    : "border-input"
+                }`}
+                onClick={() => document.getElementById("soundFile").click()}
+                onDragOver={(e) => {
+                  e.preventDefault();
+                  setIsDragging(true);
+                }}
+                onDragLeave={() => setIsDragging(false)}
+                onDrop={handleDrop}
+              >
+                <input
+                  type="file"
+                  id="soundFile"
+                  accept="audio/*"
+                  onChange={handleFileChange}
+                  className="hidden"
+                />
 
-              {fileName ? (
-                <div className="flex items-center justify-center gap-2 text-sm">
-                  <Music size={20} className="text-primary" />
-                  <span className="truncate max-w-[200px] text-foreground">
-                    {fileName}
-                  </span>
-                </div>
-              ) : (
-                <div className="py-4">
-                  <Upload
-                    size={32}
-                    className="mx-auto mb-2 text-muted-foreground"
-                  />
-                  <p className="text-sm text-muted-foreground">
-                    Click to upload or drag and drop
-                  </p>
-                  <p className="text-xs text-muted-foreground mt-1">
-                    MP3, WAV, or OGG
-                  </p>
-                </div>
+                {fileName ? (
+                  <div className="flex items-center justify-center gap-2 text-sm">
+                    <Music size={20} className="text-primary" />
+                    <span className="truncate max-w-[200px] text-foreground">
+                      {fileName}
+                    </span>
+                    {!activeTool && (
+                      <>
+                        <button
+                          type="button"
+                          onClick={(e) => {
+                            e.stopPropagation();
+                            setActiveTool("trim");
+                          }}
+                          className="flex items-center gap-1 px-2 py-1 rounded-md text-xs text-primary hover:bg-accent"
+                          title="Trim silence or unwanted parts"
+                        >
+                          <Scissors size={14} />
+                          Trim
+                        </button>
+                        <button
+                          type="button"
+                          onClick={(e) => {
+                            e.stopPropagation();
+                            setActiveTool("normalize");
+                          }}
+                          className="flex items-center gap-1 px-2 py-1 rounded-md text-xs text-primary hover:bg-accent"
+                          title="Match the library's loudness"
+                        >
+                          <Volume2 size={14} />
+                          Normalize
+                        </button>
+                      </>
+                    )}
+                  </div>
+                ) : (
+                  <div className="py-4">
+                    <Upload
+                      size={32}
+                      className="mx-auto mb-2 text-muted-foreground"
+                    />
+                    <p className="text-sm text-muted-foreground">
+                      {isEditMode
+                        ? "Click to choose a new file (optional)"
+                        : "Click to upload or drag and drop"}
+                    </p>
+                    <p className="text-xs text-muted-foreground mt-1">
+                      MP3, WAV, or OGG
+                    </p>
+                  </div>
+                )}
+              </div>
+              {errors.file && (
+                <p className="text-destructive text-xs mt-1">{errors.file}</p>
               )}
             </div>
-            {errors.file && (
-              <p className="text-destructive text-xs mt-1">{errors.file}</p>
+
+            {selectedFile && !activeTool && (
+              <UploadValidationReport
+                report={validation.report}
+                isChecking={validation.isChecking}
+              />
             )}
-          </div>
 
-          {/* Submit button */}
-          <div className="flex justify-end gap-3">
-            <Button
-              type="button"
-              onClick={onClose}
-              variant="secondary"
-              className="text-secondary-foreground"
-              disabled={isSubmitting}
-            >
-              Cancel
-            </Button>
-            <Button
-              type="submit"
-              className="bg-primary hover:bg-primary/90 text-primary-foreground"
-              disabled={isSubmitting}
-            >
-              {isSubmitting ? "Adding..." : "Add Sound"}
-            </Button>
-          </div>
-        </form>
+            {activeTool === "trim" && selectedFile && (
+              <TrimEditor
+                file={selectedFile}
+                onApply={handleTrimApply}
+                onCancel={() => setActiveTool(null)}
+              />
+            )}
+
+            {activeTool === "normalize" && selectedFile && (
+              <LoudnessNormalizer
+                file={selectedFile}
+                onApply={handleNormalizeApply}
+                onCancel={() => setActiveTool(null)}
+              />
+            )}
+
+            {/* Submit button */}
+            <div className="flex justify-end gap-3">
+              <Button
+                type="button"
+                onClick={onClose}
+                variant="secondary"
+                className="text-secondary-foreground"
+                disabled={isSubmitting}
+              >
+                Cancel
+              </Button>
+              <Button
+                type="submit"
+                className="bg-primary hover:bg-primary/90 text-primary-foreground"
+                disabled={
+                  isSubmitting ||
+                  validation.isChecking ||
+                  validation.report?.isValid === false
+                }
+              >
+                {isEditMode
+                  ? isSubmitting
+                    ? "Saving..."
+                    : "Save Changes"
+                  : isSubmitting
+                  ? "Adding..."
+                  : "Add Sound"}
+              </Button>
+            </div>
+          </form>
+        )}
       </motion.div>
     </div>
   );
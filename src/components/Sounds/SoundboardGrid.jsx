@@ -0,0 +1,280 @@
+// src\components\Sounds\SoundboardGrid.jsx
+import { useEffect, useMemo, useState } from "react";
+import { motion } from "framer-motion";
+import {
+  ChevronLeft,
+  ChevronRight,
+  Crown,
+  GripVertical,
+  Move,
+  RotateCcw,
+  Square,
+} from "lucide-react";
+import toast from "react-hot-toast";
+import { Button } from "../ui/button";
+import { useSoundboardPlayer } from "../../hooks/useSoundboardPlayer";
+import {
+  SOUNDBOARD_HOTKEYS,
+  arrangeSounds,
+  loadSoundboardLayout,
+  mergeSoundboardLayout,
+  saveSoundboardLayout,
+} from "../../utils/soundboard";
+
+const isTypingTarget = (target) =>
+  target instanceof HTMLElement &&
+  (target.isContentEditable ||
+    ["INPUT", "TEXTAREA", "SELECT"].includes(target.tagName));
+
+// Grid of tiles that play instantly, overlapping each other
+const SoundboardGrid = ({
+  sounds,
+  userId,
+  isSubscribed,
+  onPlay,
+  hasMore,
+  onLoadMore,
+  isLoadingMore,
+}) => {
+  const [layout, setLayout] = useState(() => loadSoundboardLayout(userId));
+  const [isArranging, setIsArranging] = useState(false);
+  const [draggedId, setDraggedId] = useState(null);
+  const { trigger, preload, stopAll, isActive, activeVoiceCount } =
+    useSoundboardPlayer();
+
+  const tiles = useMemo(() => arrangeSounds(sounds, layout), [sounds, layout]);
+
+  useEffect(() => {
+    setLayout(loadSoundboardLayout(userId));
+  }, [userId]);
+
+  // Decode the hotkeyed tiles up front so the first tap has no delay
+  useEffect(() => {
+    preload(tiles.slice(0, SOUNDBOARD_HOTKEYS.length));
+  }, [tiles, preload]);
+
+  const playTile = (sound) => {
+    trigger(sound, { preview: sound.isPremium && !isSubscribed }).catch(
+      (error) => {
+        console.error("Soundboard playback error:", error);
+        toast.error("Failed to play audio");
+      }
+    );
+    onPlay?.(sound);
+  };
+
+  useEffect(() => {
+    if (isArranging) return;
+
+    const handleKeyDown = (e) => {
+      if (e.repeat || e.ctrlKey || e.metaKey || e.altKey) return;
+      if (isTypingTarget(e.target)) return;
+
+      if (e.key === "Escape") {
+        stopAll();
+        return;
+      }
+
+      const index = SOUNDBOARD_HOTKEYS.indexOf(e.key.toLowerCase());
+      if (index !== -1 && tiles[index]) {
+        e.preventDefault();
+        playTile(tiles[index]);
+      }
+    };
+
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [isArranging, tiles, isSubscribed]);
+
+  const saveOrder = (orderedTiles) => {
+    const nextLayout = mergeSoundboardLayout(
+      orderedTiles.map((sound) => sound.id),
+      layout
+    );
+    setLayout(nextLayout);
+    saveSoundboardLayout(userId, nextLayout);
+  };
+
+  const moveTile = (fromIndex, toIndex) => {
+    if (toIndex < 0 || toIndex >= tiles.length || fromIndex === toIndex) {
+      return;
+    }
+    const reordered = [...tiles];
+    const [moved] = reordered.splice(fromIndex, 1);
+    reordered.splice(toIndex, 0, moved);
+    saveOrder(reordered);
+  };
+
+  const handleDrop = (targetId) => {
+    if (!draggedId) return;
+    moveTile(
+      tiles.findIndex((sound) => sound.id === draggedId),
+      tiles.findIndex((sound) => sound.id === targetId)
+    );
+    setDraggedId(null);
+  };
+
+  const resetLayout = () => {
+    setLayout([]);
+    saveSoundboardLayout(userId, []);
+  };
+
+  const renderTile = (sound, index) => {
+    const hotkey = SOUNDBOARD_HOTKEYS[index];
+    const isSounding = isActive(sound.id);
+
+    if (isArranging) {
+      return (
+        <div
+          key={sound.id}
+          draggable
+          onDragStart={() => setDraggedId(sound.id)}
+          onDragOver={(e) => e.preventDefault()}
+          onDrop={() => handleDrop(sound.id)}
+          onDragEnd={() => setDraggedId(null)}
+          className={`relative flex flex-col justify-between aspect-square p-2 rounded-xl border-2 border-dashed cursor-move select-none ${
+            draggedId === sound.id
+              ? "opacity-40 border-primary"
+              : "border-gray-300 bg-gray-50 text-black"
+          }`}
+        >
+          <GripVertical size={14} className="text-muted-foreground" />
+          <p className="text-xs font-medium line-clamp-2 break-words">
+            {sound.name}
+          </p>
+          {/* Touch browsers don't support drag and drop */}
+          <div className="flex justify-between">
+            <button
+              type="button"
+              onClick={() => moveTile(index, index - 1)}
+              disabled={index === 0}
+              className="p-1 rounded-full hover:bg-gray-200 disabled:opacity-30"
+              title="Move earlier"
+            >
+              <ChevronLeft size={14} />
+            </button>
+            <button
+              type="button"
+              onClick={() => moveTile(index, index + 1)}
+              disabled={index === tiles.length - 1}
+              className="p-1 rounded-full hover:bg-gray-200 disabled:opacity-30"
+              title="Move later"
+            >
+              <ChevronRight size={14} />
+            </button>
+          </div>
+        </div>
+      );
+    }
+
+    return (
+      <motion.button
+        key={sound.id}
+        type="button"
+        whileTap={{ scale: 0.92 }}
+        // Pointer down rather than click, so rapid taps don't wait for release
+        onPointerDown={(e) => {
+          if (e.button === 0) playTile(sound);
+        }}
+        onClick={(e) => {
+          // Keyboard activation (Enter/Space) has no pointer down
+          if (e.detail === 0) playTile(sound);
+        }}
+        className={`relative flex flex-col justify-end aspect-square p-2 rounded-xl text-left shadow-sm select-none touch-manipulation transition-colors ${
+          isSounding
+            ? "bg-primary text-white ring-2 ring-primary ring-offset-2"
+            : "bg-gray-100 text-gray-800 hover:bg-gray-200"
+        }`}
+      >
+        {hotkey && (
+          <span
+            className={`absolute top-1.5 left-1.5 min-w-[1.25rem] px-1 rounded text-[10px] font-semibold uppercase text-center ${
+              isSounding ? "bg-white/25" : "bg-white text-gray-500 border"
+            }`}
+          >
+            {hotkey}
+          </span>
+        )}
+        {sound.isPremium && (
+          <Crown
+            size={12}
+            className={`absolute top-2 right-2 ${
+              isSounding ? "text-white" : "text-amber-500"
+            }`}
+          />
+        )}
+        <span className="text-xs font-medium line-clamp-2 break-words">
+          {sound.name}
+        </span>
+        {sound.isPremium && !isSubscribed && (
+          <span className="text-[10px] opacity-70">Preview</span>
+        )}
+      </motion.button>
+    );
+  };
+
+  return (
+    <div>
+      <div className="flex items-center justify-between py-2 px-1">
+        <span className="text-xs text-muted-foreground">
+          {isArranging
+            ? "Drag tiles or use the arrows to rearrange"
+            : activeVoiceCount > 0
+            ? `${activeVoiceCount} playing · Esc to stop`
+            : "Tap a tile or press its key"}
+        </span>
+        <div className="flex items-center gap-1">
+          {!isArranging && activeVoiceCount > 0 && (
+            <Button
+              size="icon"
+              variant="ghost"
+              className="h-8 w-8 text-red-500"
+              onClick={stopAll}
+              title="Stop all"
+            >
+              <Square size={14} />
+            </Button>
+          )}
+          {isArranging && layout.length > 0 && (
+            <Button
+              size="icon"
+              variant="ghost"
+              className="h-8 w-8"
+              onClick={resetLayout}
+              title="Reset arrangement"
+            >
+              <RotateCcw size={14} />
+            </Button>
+          )}
+          <Button
+            variant={isArranging ? "default" : "ghost"}
+            className={`h-8 px-3 text-xs ${isArranging ? "text-white" : ""}`}
+            onClick={() => setIsArranging(!isArranging)}
+          >
+            <Move size={14} />
+            <span className="ml-1">{isArranging ? "Done" : "Arrange"}</span>
+          </Button>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-3 sm:grid-cols-4 gap-2 px-1">
+        {tiles.map(renderTile)}
+      </div>
+
+      {hasMore && (
+        <div className="flex justify-center py-3">
+          <Button
+            variant="ghost"
+            onClick={onLoadMore}
+            disabled={isLoadingMore}
+            className="text-xs text-primary"
+          >
+            {isLoadingMore ? "Loading more sounds..." : "Load more sounds"}
+          </Button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SoundboardGrid;
@@ -0,0 +1,300 @@
+// src\components\Sounds\TrimEditor.jsx
+import { useEffect, useRef, useState } from "react";
+import { motion } from "framer-motion";
+import { Play, Square, Scissors, Wand2 } from "lucide-react";
+import toast from "react-hot-toast";
+import { Button } from "../ui/button";
+import { getAudioContext } from "../../lib/audio-context";
+import { computePeaks } from "../../utils/waveform";
+import {
+  audioBufferToFile,
+  decodeAudioFile,
+  findSilenceBounds,
+  sliceAudioBuffer,
+} from "../../utils/audio-edit";
+
+const TRIM_BAR_COUNT = 150;
+const MIN_SELECTION = 0.05; // seconds
+
+const formatTime = (seconds) => {
+  const minutes = Math.floor(seconds / 60);
+  const remaining = (seconds % 60).toFixed(2).padStart(5, "0");
+  return `${minutes}:${remaining}`;
+};
+
+// Decode the chosen file, let the admin drag in/out handles over its
+// waveform and hand back the selection as a new WAV file
+const TrimEditor = ({ file, onApply, onCancel }) => {
+  const [audioBuffer, setAudioBuffer] = useState(null);
+  const [peaks, setPeaks] = useState([]);
+  const [selection, setSelection] = useState({ start: 0, end: 0 });
+  const [isLoading, setIsLoading] = useState(true);
+  const [isPreviewing, setIsPreviewing] = useState(false);
+  const [playhead, setPlayhead] = useState(null);
+  const [isApplying, setIsApplying] = useState(false);
+  const containerRef = useRef(null);
+  const draggingRef = useRef(null);
+  const sourceRef = useRef(null);
+  const frameRef = useRef(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setIsLoading(true);
+
+    decodeAudioFile(file)
+      .then((buffer) => {
+        if (cancelled) return;
+        setAudioBuffer(buffer);
+        setPeaks(computePeaks(buffer, TRIM_BAR_COUNT));
+        setSelection({ start: 0, end: buffer.duration });
+      })
+      .catch((error) => {
+        console.error("Trim decode error:", error);
+        toast.error("This file could not be decoded for trimming");
+        onCancel();
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [file]);
+
+  const stopPreview = () => {
+    cancelAnimationFrame(frameRef.current);
+    if (sourceRef.current) {
+      sourceRef.current.onended = null;
+      sourceRef.current.stop();
+      sourceRef.current = null;
+    }
+    setIsPreviewing(false);
+    setPlayhead(null);
+  };
+
+  // Stop any preview when the editor closes
+  useEffect(() => stopPreview, []);
+
+  const startPreview = async () => {
+    stopPreview();
+    const context = getAudioContext();
+    await context.resume();
+
+    const source = context.createBufferSource();
+    source.buffer = audioBuffer;
+    source.connect(context.destination);
+    source.onended = stopPreview;
+
+    const length = selection.end - selection.start;
+    const startedAt = context.currentTime;
+    source.start(0, selection.start, length);
+    sourceRef.current = source;
+    setIsPreviewing(true);
+
+    const tick = () => {
+      const elapsed = context.currentTime - startedAt;
+      setPlayhead(selection.start + Math.min(elapsed, length));
+      frameRef.current = requestAnimationFrame(tick);
+    };
+    tick();
+  };
+
+  const timeFromPointer = (clientX) => {
+    const rect = containerRef.current.getBoundingClientRect();
+    const fraction = Math.min(Math.max((clientX - rect.left) / rect.width, 0), 1);
+    return fraction * audioBuffer.duration;
+  };
+
+  const handlePointerDown = (handle) => (e) => {
+    e.preventDefault();
+    e.currentTarget.setPointerCapture(e.pointerId);
+    draggingRef.current = handle;
+    stopPreview();
+  };
+
+  const handlePointerMove = (e) => {
+    if (!draggingRef.current) return;
+    const time = timeFromPointer(e.clientX);
+
+    setSelection((prev) =>
+      draggingRef.current === "start"
+        ? { ...prev, start: Math.min(time, prev.end - MIN_SELECTION) }
+        : { ...prev, end: Math.max(time, prev.start + MIN_SELECTION) }
+    );
+  };
+
+  const handlePointerUp = () => {
+    draggingRef.current = null;
+  };
+
+  const autoTrim = () => {
+    stopPreview();
+    setSelection(findSilenceBounds(audioBuffer));
+  };
+
+  const applyTrim = () => {
+    stopPreview();
+    setIsApplying(true);
+
+    // Let the button show its busy state before the encode blocks
+    setTimeout(() => {
+      try {
+        const trimmed = sliceAudioBuffer(
+          audioBuffer,
+          selection.start,
+          selection.end
+        );
+        onApply(audioBufferToFile(trimmed, file.name));
+      } catch (error) {
+        console.error("Trim encode error:", error);
+        toast.error("Failed to trim sound");
+      } finally {
+        setIsApplying(false);
+      }
+    }, 0);
+  };
+
+  if (isLoading || !audioBuffer) {
+    return (
+      <div className="py-6 text-center text-sm text-muted-foreground">
+        Decoding audio...
+      </div>
+    );
+  }
+
+  const duration = audioBuffer.duration;
+  const startPercent = (selection.start / duration) * 100;
+  const endPercent = (selection.end / duration) * 100;
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, height: 0 }}
+      animate={{ opacity: 1, height: "auto" }}
+      className="mb-4 p-3 border border-input rounded-lg"
+    >
+      <div
+        ref={containerRef}
+        className="relative h-20 select-none touch-none"
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={handlePointerUp}
+      >
+        <svg
+          viewBox={`0 0 ${peaks.length * 2} 24`}
+          preserveAspectRatio="none"
+          className="w-full h-full"
+        >
+          {peaks.map((peak, index) => {
+            const height = Math.max(1, peak * 22);
+            const time = ((index + 0.5) / peaks.length) * duration;
+            const isSelected =
+              time >= selection.start && time <= selection.end;
+
+            return (
+              <line
+                key={index}
+                x1={index * 2 + 1}
+                y1={12 - height / 2}
+                x2={index * 2 + 1}
+                y2={12 + height / 2}
+                stroke={isSelected ? "#00ae34" : "#D1D5DB"}
+                strokeWidth="1"
+              />
+            );
+          })}
+        </svg>
+
+        {/* Dim the parts that will be cut */}
+        <div
+          className="absolute inset-y-0 left-0 bg-black/10 pointer-events-none"
+          style={{ width: `${startPercent}%` }}
+        />
+        <div
+          className="absolute inset-y-0 right-0 bg-black/10 pointer-events-none"
+          style={{ width: `${100 - endPercent}%` }}
+        />
+
+        {playhead !== null && (
+          <div
+            className="absolute inset-y-0 w-px bg-red-500 pointer-events-none"
+            style={{ left: `${(playhead / duration) * 100}%` }}
+          />
+        )}
+
+        {[
+          { handle: "start", percent: startPercent, label: "Trim start" },
+          { handle: "end", percent: endPercent, label: "Trim end" },
+        ].map(({ handle, percent, label }) => (
+          <div
+            key={handle}
+            role="slider"
+            aria-label={label}
+            aria-valuenow={Number(selection[handle].toFixed(2))}
+            aria-valuemin={0}
+            aria-valuemax={Number(duration.toFixed(2))}
+            onPointerDown={handlePointerDown(handle)}
+            className="absolute inset-y-0 w-3 -ml-1.5 cursor-ew-resize flex justify-center"
+            style={{ left: `${percent}%` }}
+          >
+            <div className="w-1 h-full bg-primary rounded-full" />
+          </div>
+        ))}
+      </div>
+
+      <div className="flex justify-between mt-2 text-xs text-muted-foreground">
+        <span>In {formatTime(selection.start)}</span>
+        <span>
+          Length {formatTime(selection.end - selection.start)} of{" "}
+          {formatTime(duration)}
+        </span>
+        <span>Out {formatTime(selection.end)}</span>
+      </div>
+
+      <div className="flex flex-wrap justify-between gap-2 mt-3">
+        <div className="flex gap-2">
+          <Button
+            type="button"
+            variant="secondary"
+            onClick={isPreviewing ? stopPreview : startPreview}
+            className="h-8 px-3 text-secondary-foreground"
+          >
+            {isPreviewing ? <Square size={14} /> : <Play size={14} />}
+            <span className="ml-1">Preview</span>
+          </Button>
+          <Button
+            type="button"
+            variant="secondary"
+            onClick={autoTrim}
+            className="h-8 px-3 text-secondary-foreground"
+            title="Cut silence at the start and end"
+          >
+            <Wand2 size={14} />
+            <span className="ml-1">Auto</span>
+          </Button>
+        </div>
+        <div className="flex gap-2">
+          <Button
+            type="button"
+            variant="ghost"
+            onClick={onCancel}
+            className="h-8 px-3 text-foreground"
+          >
+            Cancel
+          </Button>
+          <Button
+            type="button"
+            onClick={applyTrim}
+            disabled={isApplying}
+            className="h-8 px-3 bg-primary hover:bg-primary/90 text-primary-foreground"
+          >
+            <Scissors size={14} />
+            <span className="ml-1">{isApplying ? "Trimming..." : "Apply"}</span>
+          </Button>
+        </div>
+      </div>
+    </motion.div>
+  );
+};
+
+export default TrimEditor;
@@ -0,0 +1,53 @@
+// src\components\Sounds\UploadValidationReport.jsx
+import { AlertTriangle, CheckCircle2, Loader2, XCircle } from "lucide-react";
+
+const STATUS_ICONS = {
+  pass: <CheckCircle2 size={16} className="text-green-500 flex-shrink-0" />,
+  warn: <AlertTriangle size={16} className="text-amber-500 flex-shrink-0" />,
+  fail: <XCircle size={16} className="text-destructive flex-shrink-0" />,
+};
+
+// Result of inspecting the chosen file, shown before it can be submitted
+const UploadValidationReport = ({ report, isChecking }) => {
+  if (isChecking) {
+    return (
+      <div className="flex items-center gap-2 mb-4 text-sm text-muted-foreground">
+        <Loader2 size={16} className="animate-spin" />
+        Checking the audio file...
+      </div>
+    );
+  }
+
+  if (!report) return null;
+
+  return (
+    <div
+      className={`mb-4 p-3 rounded-lg border text-sm ${
+        report.isValid ? "border-input" : "border-destructive"
+      }`}
+    >
+      <ul className="space-y-1.5">
+        {report.checks.map((check) => (
+          <li key={check.label} className="flex items-start gap-2">
+            {STATUS_ICONS[check.status]}
+            <div className="min-w-0">
+              <span className="font-medium text-foreground">
+                {check.label}
+              </span>
+              <p className="text-xs text-muted-foreground break-words">
+                {check.message}
+              </p>
+            </div>
+          </li>
+        ))}
+      </ul>
+      {!report.isValid && (
+        <p className="text-destructive text-xs mt-2">
+          Fix the problems above before uploading.
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default UploadValidationReport;
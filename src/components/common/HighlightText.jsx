@@ -0,0 +1,28 @@
+// src\components\common\HighlightText.jsx
+
+// Render text with the given [start, end] ranges marked
+const HighlightText = ({ text = "", ranges = [] }) => {
+  if (!ranges.length) return text;
+
+  const parts = [];
+  let cursor = 0;
+
+  ranges.forEach(([start, end]) => {
+    if (start > cursor) parts.push(text.slice(cursor, start));
+    parts.push(
+      <mark
+        key={start}
+        className="bg-yellow-200 text-inherit rounded-sm px-0.5 -mx-0.5"
+      >
+        {text.slice(start, end)}
+      </mark>
+    );
+    cursor = end;
+  });
+
+  if (cursor < text.length) parts.push(text.slice(cursor));
+
+  return <>{parts}</>;
+};
+
+export default HighlightText;
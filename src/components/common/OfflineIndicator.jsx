@@ -0,0 +1,27 @@
+// src\components\common\OfflineIndicator.jsx
+import { motion, AnimatePresence } from "framer-motion";
+import { WifiOff } from "lucide-react";
+import { useOnlineStatus } from "../../hooks/useOnlineStatus";
+
+const OfflineIndicator = () => {
+  const isOnline = useOnlineStatus();
+
+  return (
+    <AnimatePresence>
+      {!isOnline && (
+        <motion.div
+          initial={{ y: -40, opacity: 0 }}
+          animate={{ y: 0, opacity: 1 }}
+          exit={{ y: -40, opacity: 0 }}
+          transition={{ duration: 0.2 }}
+          className="fixed top-0 left-1/2 -translate-x-1/2 w-full md:max-w-md z-50 flex items-center justify-center gap-2 py-1.5 bg-gray-800 text-white text-xs font-medium"
+        >
+          <WifiOff size={14} />
+          You're offline. Sounds saved for offline still play.
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+};
+
+export default OfflineIndicator;
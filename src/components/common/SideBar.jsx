@@ -1,14 +1,25 @@
 // src\components\common\SideBar.jsx
 import { useState, useEffect } from "react";
-import { LogOut, Music, Users, UserCog } from "lucide-react";
+import {
+  LogOut,
+  Music,
+  Users,
+  UserCog,
+  Star,
+  ListMusic,
+  History,
+} from "lucide-react";
+import { useNavigate } from "react-router-dom";
 import { motion } from "framer-motion";
 import { useAuth } from "../../contexts/AuthContext";
 import toast from "react-hot-toast";
+import { ROUTES } from "../../config/constants";
 
 const SideBar = ({ onTitleChange, onViewChange, onClose, activeView }) => {
   const [activeButton, setActiveButton] = useState(1);
   const { user, signOut } = useAuth();
   const isAdmin = user?.role === "ADMIN";
+  const navigate = useNavigate();
 
   useEffect(() => {
     // Set active button based on activeView
@@ -22,6 +33,9 @@ const SideBar = ({ onTitleChange, onViewChange, onClose, activeView }) => {
       case "manageUsers":
         setActiveButton(2); // Same button for admin
         break;
+      case "favorites":
+        setActiveButton(3);
+        break;
       default:
         setActiveButton(1);
     }
@@ -34,6 +48,23 @@ const SideBar = ({ onTitleChange, onViewChange, onClose, activeView }) => {
     if (onClose) onClose();
   };
 
+  const handleFavoritesButtonClick = () => {
+    onTitleChange("My Favorites");
+    onViewChange("favorites");
+    setActiveButton(3);
+    if (onClose) onClose();
+  };
+
+  const handlePlaylistsButtonClick = () => {
+    if (onClose) onClose();
+    navigate(ROUTES.PLAYLISTS);
+  };
+
+  const handleHistoryButtonClick = () => {
+    if (onClose) onClose();
+    navigate(ROUTES.HISTORY);
+  };
+
   const handleSecondButtonClick = () => {
     if (isAdmin) {
       onTitleChange("Manage Users");
@@ -79,6 +110,41 @@ const SideBar = ({ onTitleChange, onViewChange, onClose, activeView }) => {
             </button>
           </motion.li>
 
+          <motion.li whileHover={{ scale: 1.05 }} whileTap={{ scale: 0.95 }}>
+            <button
+              onClick={handleFavoritesButtonClick}
+              className={`px-4 py-2 rounded-md w-full text-left transition-colors duration-200 flex items-center gap-3
+                ${
+                  activeButton === 3
+                    ? "bg-card text-foreground"
+                    : "text-white hover:bg-gray-600"
+                }`}
+            >
+              <Star className="w-4 h-4" />
+              Favorites
+            </button>
+          </motion.li>
+
+          <motion.li whileHover={{ scale: 1.05 }} whileTap={{ scale: 0.95 }}>
+            <button
+              onClick={handlePlaylistsButtonClick}
+              className="px-4 py-2 rounded-md w-full text-left transition-colors duration-200 flex items-center gap-3 text-white hover:bg-gray-600"
+            >
+              <ListMusic className="w-4 h-4" />
+              Playlists
+            </button>
+          </motion.li>
+
+          <motion.li whileHover={{ scale: 1.05 }} whileTap={{ scale: 0.95 }}>
+            <button
+              onClick={handleHistoryButtonClick}
+              className="px-4 py-2 rounded-md w-full text-left transition-colors duration-200 flex items-center gap-3 text-white hover:bg-gray-600"
+            >
+              <History className="w-4 h-4" />
+              History
+            </button>
+          </motion.li>
+
           {isAdmin && (
             <motion.li whileHover={{ scale: 1.05 }} whileTap={{ scale: 0.95 }}>
               <button
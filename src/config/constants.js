@@ -18,8 +18,23 @@ export const ROUTES = {
   PRIVACY_POLICY: "/privacy-policy",
   PAYMENT: "/payment",
   CHAT_INTERFACE: "/chat-interface",
+  PLAYLISTS: "/playlists",
+  SOUND_DETAILS: "/sounds/:id",
+  HISTORY: "/history",
 };
 
+// Sound categories - matched with backend soundCategories
+export const SOUND_CATEGORIES = [
+  { value: "Scary", label: "Scary" },
+  { value: "Relaxing", label: "Relaxing" },
+  { value: "Futuristic", label: "Futuristic" },
+  { value: "Celebration", label: "Celebration" },
+  { value: "Action", label: "Action" },
+  { value: "Romantic", label: "Romantic" },
+  { value: "Educational", label: "Educational" },
+  { value: "Ambient", label: "Ambient" },
+];
+
 // Theme
 export const THEME = {
   LIGHT: "light",
@@ -37,6 +52,11 @@ export const STORAGE_KEYS = {
   TOKEN: "token",
   THEME: "theme",
   USER: "user",
+  SOUND_SORT: "soundSort",
+  SOUND_VIEW: "soundView",
+  SOUNDBOARD_LAYOUT: "soundboardLayout",
+  PLAYER_PREFERENCES: "playerPreferences",
+  PLAYBACK_POSITIONS: "playbackPositions",
 };
 
 // Animation durations
@@ -44,3 +64,17 @@ export const ANIMATION = {
   DURATION: 0.3,
   EASE: [0.25, 0.1, 0.25, 1],
 };
+
+// Client-side processing applied to uploads
+export const AUDIO_PROCESSING = {
+  TARGET_LUFS: -16, // loudness sounds are normalized to
+  PEAK_CEILING_DB: -1, // normalization never pushes peaks above this
+  // Longest sound accepted on upload, overridable per deployment
+  MAX_DURATION_SECONDS: Number(import.meta.env.VITE_MAX_SOUND_DURATION) || 300,
+};
+
+// What non-subscribers hear of a premium sound
+export const PREMIUM_PREVIEW = {
+  DURATION_SECONDS: 10,
+  FADE_OUT_SECONDS: 2, // fade at the end of the preview
+};
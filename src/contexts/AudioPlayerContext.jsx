@@ -0,0 +1,306 @@
+// src/contexts/AudioPlayerContext.jsx
+import {
+  createContext,
+  useContext,
+  useEffect,
+  useRef,
+  useState,
+} from "react";
+import toast from "react-hot-toast";
+import { useMediaSession } from "../hooks/useMediaSession";
+import { PREMIUM_PREVIEW } from "../config/constants";
+import { getOfflineSoundObjectUrl } from "../utils/offline-sounds";
+
+// Create context for the app-wide audio player
+const AudioPlayerContext = createContext();
+
+export const getSoundUrl = (sound) =>
+  `${import.meta.env.VITE_ASSETS_URL}${sound.link}`;
+
+export const AudioPlayerProvider = ({ children }) => {
+  // One audio element for the whole app, so sounds never overlap and keep
+  // playing while the user navigates between pages
+  const audioRef = useRef(null);
+  if (!audioRef.current) {
+    audioRef.current = new Audio();
+  }
+
+  const [currentSound, setCurrentSound] = useState(null);
+  const [queue, setQueue] = useState([]);
+  const [currentIndex, setCurrentIndex] = useState(-1);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [currentTime, setCurrentTime] = useState(0);
+  const [duration, setDuration] = useState(0);
+  // Premium sounds played by non-subscribers stop after a short preview
+  const [isPreview, setIsPreview] = useState(false);
+  const [previewEndedSound, setPreviewEndedSound] = useState(null);
+  const queueRef = useRef([]);
+  const currentIndexRef = useRef(-1);
+  // Object URL of a saved sound being played from Cache Storage
+  const offlineUrlRef = useRef(null);
+  // Bumped whenever the source changes, so a late fallback can't replace it
+  const loadIdRef = useRef(0);
+
+  const releaseOfflineUrl = () => {
+    if (offlineUrlRef.current) {
+      URL.revokeObjectURL(offlineUrlRef.current);
+      offlineUrlRef.current = null;
+    }
+  };
+
+  // The service worker normally serves saved sounds offline. Before it
+  // controls the page, play the cached copy directly.
+  const playOfflineCopy = async (audio, url, loadId) => {
+    const offlineUrl = await getOfflineSoundObjectUrl(url);
+    if (!offlineUrl) return false;
+    if (loadId !== loadIdRef.current) {
+      URL.revokeObjectURL(offlineUrl);
+      return false;
+    }
+
+    offlineUrlRef.current = offlineUrl;
+    audio.src = offlineUrl;
+    await audio.play();
+    return true;
+  };
+
+  const load = (sound, { preview = false } = {}) => {
+    const audio = audioRef.current;
+
+    // Reset anything a previous player (e.g. AudioPlayerModal) changed
+    audio.autoplay = false;
+    audio.loop = false;
+    audio.muted = false;
+    audio.volume = 1;
+    audio.playbackRate = 1;
+    audio.removeAttribute("crossorigin");
+    releaseOfflineUrl();
+    const loadId = ++loadIdRef.current;
+    const url = getSoundUrl(sound);
+    audio.src = url;
+    setIsPreview(preview);
+    setPreviewEndedSound(null);
+    setCurrentSound(sound);
+    setCurrentTime(0);
+    setDuration(0);
+
+    return audio
+      .play()
+      .catch(async (error) => {
+        if (await playOfflineCopy(audio, url, loadId)) return;
+        throw error;
+      })
+      .catch((error) => {
+        console.error("Error playing audio:", error);
+        toast.error("Failed to play audio");
+        throw error;
+      });
+  };
+
+  const playAt = (index) => {
+    const sound = queueRef.current[index];
+    if (!sound) {
+      stop();
+      return;
+    }
+
+    currentIndexRef.current = index;
+    setCurrentIndex(index);
+    // A sound that fails to load is skipped
+    load(sound).catch(() => playAt(index + 1));
+  };
+
+  // Play a single sound, replacing any queue. Pass { preview: true } to
+  // only play the first PREMIUM_PREVIEW.DURATION_SECONDS.
+  const playSound = (sound, options) => {
+    queueRef.current = [sound];
+    setQueue([sound]);
+    currentIndexRef.current = 0;
+    setCurrentIndex(0);
+    return load(sound, options).catch(() => stop());
+  };
+
+  // Play a list of sounds one after another
+  const playQueue = (sounds, startIndex = 0) => {
+    queueRef.current = sounds;
+    setQueue(sounds);
+    playAt(startIndex);
+  };
+
+  const togglePlay = () => {
+    const audio = audioRef.current;
+    if (!currentSound) return;
+
+    if (audio.paused) {
+      audio.play().catch((error) => {
+        console.error("Error resuming audio:", error);
+      });
+    } else {
+      audio.pause();
+    }
+  };
+
+  const stop = () => {
+    const audio = audioRef.current;
+    audio.pause();
+    audio.removeAttribute("src");
+    audio.load();
+    loadIdRef.current++;
+    releaseOfflineUrl();
+    queueRef.current = [];
+    currentIndexRef.current = -1;
+    setQueue([]);
+    setCurrentIndex(-1);
+    setCurrentSound(null);
+    setIsPlaying(false);
+    setCurrentTime(0);
+    setDuration(0);
+    setIsPreview(false);
+  };
+
+  const dismissPreviewUpsell = () => setPreviewEndedSound(null);
+
+  const next = () => {
+    if (currentIndexRef.current < queueRef.current.length - 1) {
+      playAt(currentIndexRef.current + 1);
+    }
+  };
+
+  const previous = () => {
+    if (currentIndexRef.current > 0) {
+      playAt(currentIndexRef.current - 1);
+    }
+  };
+
+  const seek = (time) => {
+    const audio = audioRef.current;
+    if (!audio.duration) return;
+    const limit = isPreview
+      ? Math.min(audio.duration, PREMIUM_PREVIEW.DURATION_SECONDS)
+      : audio.duration;
+    audio.currentTime = Math.min(Math.max(0, time), limit);
+    setCurrentTime(audio.currentTime);
+  };
+
+  const hasNext = currentIndex >= 0 && currentIndex < queue.length - 1;
+  const hasPrevious = currentIndex > 0;
+
+  useMediaSession({
+    enabled: !!currentSound,
+    title: currentSound?.name,
+    artist: currentSound?.category,
+    isPlaying,
+    duration,
+    currentTime,
+    handlers: {
+      play: () => audioRef.current.play().catch(() => {}),
+      pause: () => audioRef.current.pause(),
+      stop,
+      seekbackward: (details) =>
+        seek(audioRef.current.currentTime - (details?.seekOffset || 10)),
+      seekforward: (details) =>
+        seek(audioRef.current.currentTime + (details?.seekOffset || 10)),
+      seekto: (details) => seek(details?.seekTime ?? 0),
+      nexttrack: hasNext ? next : undefined,
+      previoustrack: hasPrevious ? previous : undefined,
+    },
+  });
+
+  const isSoundPlaying = (soundId) =>
+    isPlaying && currentSound?.id === soundId;
+
+  // Fade the preview out over its last seconds, then stop and upsell.
+  // timeupdate fires too rarely for a smooth fade, so this runs per frame.
+  useEffect(() => {
+    if (!isPreview || !isPlaying) return;
+
+    const audio = audioRef.current;
+    const { DURATION_SECONDS, FADE_OUT_SECONDS } = PREMIUM_PREVIEW;
+    let frameId;
+
+    const tick = () => {
+      const remaining = DURATION_SECONDS - audio.currentTime;
+      audio.volume = Math.min(Math.max(remaining / FADE_OUT_SECONDS, 0), 1);
+
+      if (remaining <= 0) {
+        const sound = currentSound;
+        stop();
+        setPreviewEndedSound(sound);
+        return;
+      }
+      frameId = requestAnimationFrame(tick);
+    };
+    tick();
+
+    return () => cancelAnimationFrame(frameId);
+  }, [isPreview, isPlaying, currentSound]);
+
+  useEffect(() => {
+    const audio = audioRef.current;
+
+    const onPlay = () => setIsPlaying(true);
+    const onPause = () => setIsPlaying(false);
+    const onTimeUpdate = () => setCurrentTime(audio.currentTime);
+    const onLoadedMetadata = () => setDuration(audio.duration);
+    const onEnded = () => {
+      // Only sounds started through the context advance the queue
+      if (currentIndexRef.current < 0) return;
+
+      if (currentIndexRef.current < queueRef.current.length - 1) {
+        playAt(currentIndexRef.current + 1);
+      } else {
+        stop();
+      }
+    };
+
+    audio.addEventListener("play", onPlay);
+    audio.addEventListener("pause", onPause);
+    audio.addEventListener("timeupdate", onTimeUpdate);
+    audio.addEventListener("loadedmetadata", onLoadedMetadata);
+    audio.addEventListener("ended", onEnded);
+
+    return () => {
+      audio.removeEventListener("play", onPlay);
+      audio.removeEventListener("pause", onPause);
+      audio.removeEventListener("timeupdate", onTimeUpdate);
+      audio.removeEventListener("loadedmetadata", onLoadedMetadata);
+      audio.removeEventListener("ended", onEnded);
+    };
+  }, []);
+
+  return (
+    <AudioPlayerContext.Provider
+      value={{
+        audioRef,
+        currentSound,
+        queue,
+        currentIndex,
+        isPlaying,
+        currentTime,
+        duration,
+        isPreview,
+        previewEndedSound,
+        dismissPreviewUpsell,
+        playSound,
+        playQueue,
+        togglePlay,
+        stop,
+        next,
+        previous,
+        seek,
+        isSoundPlaying,
+      }}
+    >
+      {children}
+    </AudioPlayerContext.Provider>
+  );
+};
+
+// Custom hook to use the audio player context
+export const useAudioPlayer = () => {
+  const context = useContext(AudioPlayerContext);
+  if (!context) {
+    throw new Error("useAudioPlayer must be used within an AudioPlayerProvider");
+  }
+  return context;
+};
@@ -15,6 +15,7 @@ import {
 import apiClient from "../lib/api-client";
 import { ROUTES } from "../config/constants";
 import { useQueryClient } from "@tanstack/react-query";
+import { useAudioPlayer } from "./AudioPlayerContext";
 
 const AuthContext = createContext({});
 
@@ -27,6 +28,7 @@ export function AuthProvider({ children }) {
   const navigate = useNavigate();
   const location = useLocation();
   const queryClient = useQueryClient();
+  const { stop: stopAudio } = useAudioPlayer();
 
   const checkAuth = useCallback(async () => {
     try {
@@ -165,6 +167,7 @@ export function AuthProvider({ children }) {
       removeAuthTokens();
       setUser(null);
       setVerificationInProgress(false);
+      stopAudio();
       queryClient.clear();
       toast.success("Successfully signed out");
       navigate(ROUTES.SIGNIN);
@@ -0,0 +1,84 @@
+// src/hooks/useFavorites.js
+import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
+import apiClient from "../lib/api-client";
+import toast from "react-hot-toast";
+
+const FAVORITE_KEYS = {
+  all: ["favorites"],
+  lists: () => [...FAVORITE_KEYS.all, "list"],
+};
+
+// Favorites come back either populated ({ sound: {...} }) or as plain sounds
+export const getFavoriteSound = (favorite) => favorite?.sound || favorite;
+
+export const useFavorites = () => {
+  return useQuery({
+    queryKey: FAVORITE_KEYS.lists(),
+    queryFn: async () => {
+      const { data } = await apiClient.get("/favorite/get-my-favorites");
+      return data;
+    },
+  });
+};
+
+// Optimistically add or remove a sound from the cached favorites list
+const useFavoriteMutation = ({ mutationFn, updateList, errorMessage }) => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn,
+    onMutate: async (sound) => {
+      await queryClient.cancelQueries({ queryKey: FAVORITE_KEYS.lists() });
+      const previousFavorites = queryClient.getQueryData(
+        FAVORITE_KEYS.lists()
+      );
+
+      queryClient.setQueryData(FAVORITE_KEYS.lists(), (old) => ({
+        ...old,
+        data: updateList(old?.data || [], sound),
+      }));
+
+      return { previousFavorites };
+    },
+    onError: (error, sound, context) => {
+      console.error("Favorite error:", error);
+      queryClient.setQueryData(
+        FAVORITE_KEYS.lists(),
+        context?.previousFavorites
+      );
+      toast.error(error.response?.data?.message || errorMessage);
+    },
+    onSettled: () => {
+      queryClient.invalidateQueries({ queryKey: FAVORITE_KEYS.lists() });
+    },
+  });
+};
+
+export const useAddFavorite = () => {
+  return useFavoriteMutation({
+    mutationFn: async (sound) => {
+      const { data } = await apiClient.post("/favorite/add-favorite", {
+        soundId: sound._id,
+      });
+      return data;
+    },
+    updateList: (favorites, sound) => [{ sound }, ...favorites],
+    errorMessage: "Failed to add favorite",
+  });
+};
+
+export const useRemoveFavorite = () => {
+  return useFavoriteMutation({
+    mutationFn: async (sound) => {
+      const { data } = await apiClient.delete(
+        `/favorite/remove-favorite/${sound._id}`
+      );
+      return data;
+    },
+    updateList: (favorites, sound) =>
+      favorites.filter(
+        (favorite) => getFavoriteSound(favorite)?._id !== sound._id
+      ),
+    errorMessage: "Failed to remove favorite",
+  });
+};
@@ -0,0 +1,96 @@
+// src/hooks/useMediaSession.js
+import { useEffect, useRef } from "react";
+
+const MEDIA_SESSION_ACTIONS = [
+  "play",
+  "pause",
+  "stop",
+  "seekbackward",
+  "seekforward",
+  "seekto",
+  "previoustrack",
+  "nexttrack",
+];
+
+const ARTWORK = [{ src: "/logo.png", sizes: "1024x1024", type: "image/png" }];
+
+const isSupported = () =>
+  typeof navigator !== "undefined" && "mediaSession" in navigator;
+
+// Some browsers throw for actions they don't know about
+const setActionHandler = (action, handler) => {
+  try {
+    navigator.mediaSession.setActionHandler(action, handler);
+  } catch (error) {
+    // Action not supported by this browser
+  }
+};
+
+// Exposes the current sound to the OS (lock screen, Bluetooth headsets,
+// hardware media keys) through the Media Session API
+export const useMediaSession = ({
+  enabled = true,
+  title,
+  artist,
+  handlers = {},
+  isPlaying,
+  duration,
+  currentTime,
+  playbackRate = 1,
+}) => {
+  // Keep the latest handlers without re-registering on every render
+  const handlersRef = useRef(handlers);
+  handlersRef.current = handlers;
+
+  const registeredActions = MEDIA_SESSION_ACTIONS.filter(
+    (action) => !!handlers[action]
+  ).join(",");
+
+  useEffect(() => {
+    if (!enabled || !isSupported()) return;
+
+    navigator.mediaSession.metadata = new MediaMetadata({
+      title: title || "Poop Alert",
+      artist: artist || "Poop Alert",
+      album: "Poop Alert",
+      artwork: ARTWORK,
+    });
+
+    MEDIA_SESSION_ACTIONS.forEach((action) => {
+      setActionHandler(
+        action,
+        handlersRef.current[action]
+          ? (details) => handlersRef.current[action]?.(details)
+          : null
+      );
+    });
+
+    return () => {
+      navigator.mediaSession.metadata = null;
+      navigator.mediaSession.playbackState = "none";
+      MEDIA_SESSION_ACTIONS.forEach((action) => setActionHandler(action, null));
+    };
+  }, [enabled, title, artist, registeredActions]);
+
+  useEffect(() => {
+    if (!enabled || !isSupported()) return;
+    navigator.mediaSession.playbackState = isPlaying ? "playing" : "paused";
+  }, [enabled, isPlaying]);
+
+  // Lets the lock screen draw an accurate scrubber
+  useEffect(() => {
+    if (!enabled || !isSupported()) return;
+    if (!navigator.mediaSession.setPositionState) return;
+    if (!duration || !isFinite(duration)) return;
+
+    try {
+      navigator.mediaSession.setPositionState({
+        duration,
+        playbackRate,
+        position: Math.min(Math.max(0, currentTime || 0), duration),
+      });
+    } catch (error) {
+      console.error("Media session position error:", error);
+    }
+  }, [enabled, duration, currentTime, playbackRate]);
+};
@@ -0,0 +1,60 @@
+// src/hooks/useOfflineSounds.js
+import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
+import toast from "react-hot-toast";
+import {
+  loadOfflineSounds,
+  removeOfflineSound,
+  saveSoundForOffline,
+} from "../utils/offline-sounds";
+
+const OFFLINE_SOUND_KEYS = {
+  all: ["offlineSounds"],
+  lists: () => [...OFFLINE_SOUND_KEYS.all, "list"],
+};
+
+// Sounds saved on this device, newest first
+export const useOfflineSounds = () => {
+  return useQuery({
+    queryKey: OFFLINE_SOUND_KEYS.lists(),
+    queryFn: loadOfflineSounds,
+    // Only this device changes the list, and every change updates the cache
+    staleTime: Infinity,
+  });
+};
+
+export const useSaveSoundOffline = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: saveSoundForOffline,
+    onSuccess: (saved) => {
+      queryClient.setQueryData(OFFLINE_SOUND_KEYS.lists(), (old = []) => [
+        saved,
+        ...old.filter((sound) => sound.id !== saved.id),
+      ]);
+      toast.success(`"${saved.name}" is available offline`);
+    },
+    onError: (error) => {
+      console.error("Save offline error:", error);
+      toast.error(error.message || "Failed to save sound for offline");
+    },
+  });
+};
+
+export const useRemoveOfflineSound = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: removeOfflineSound,
+    onSuccess: (_, sound) => {
+      queryClient.setQueryData(OFFLINE_SOUND_KEYS.lists(), (old = []) =>
+        old.filter((saved) => saved.id !== sound.id)
+      );
+      toast.success(`Removed "${sound.name}" from offline sounds`);
+    },
+    onError: (error) => {
+      console.error("Remove offline error:", error);
+      toast.error("Failed to remove offline sound");
+    },
+  });
+};
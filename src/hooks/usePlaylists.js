@@ -0,0 +1,130 @@
+// src/hooks/usePlaylists.js
+import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
+import apiClient from "../lib/api-client";
+import toast from "react-hot-toast";
+
+const PLAYLIST_KEYS = {
+  all: ["playlists"],
+  lists: () => [...PLAYLIST_KEYS.all, "list"],
+  details: () => [...PLAYLIST_KEYS.all, "detail"],
+  detail: (id) => [...PLAYLIST_KEYS.details(), id],
+};
+
+// Playlist sounds may be populated documents or plain ids
+export const getPlaylistSoundIds = (playlist) =>
+  (playlist?.sounds || []).map((sound) => sound?._id || sound);
+
+export const usePlaylists = () => {
+  return useQuery({
+    queryKey: PLAYLIST_KEYS.lists(),
+    queryFn: async () => {
+      const { data } = await apiClient.get("/playlist/my-playlists");
+      return data;
+    },
+  });
+};
+
+export const usePlaylistDetails = (playlistId) => {
+  return useQuery({
+    queryKey: PLAYLIST_KEYS.detail(playlistId),
+    queryFn: async () => {
+      const { data } = await apiClient.get(`/playlist/${playlistId}`);
+      return data;
+    },
+    enabled: !!playlistId, // Only run if playlistId is provided
+  });
+};
+
+export const useCreatePlaylist = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async ({ name, sounds = [] }) => {
+      const { data } = await apiClient.post("/playlist/create-playlist", {
+        name,
+        sounds,
+      });
+      return data;
+    },
+    onSuccess: () => {
+      toast.success("Playlist created successfully");
+      queryClient.invalidateQueries({ queryKey: PLAYLIST_KEYS.lists() });
+    },
+    onError: (error) => {
+      console.error("Create playlist error:", error);
+      toast.error(error.response?.data?.message || "Failed to create playlist");
+    },
+  });
+};
+
+// Rename a playlist and/or replace its ordered list of sound ids
+export const useUpdatePlaylist = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async ({ id, name, sounds }) => {
+      const { data } = await apiClient.patch(
+        `/playlist/update-playlist/${id}`,
+        { name, sounds }
+      );
+      return data;
+    },
+    onMutate: async ({ id, name, orderedSounds }) => {
+      await queryClient.cancelQueries({ queryKey: PLAYLIST_KEYS.detail(id) });
+      const previousPlaylist = queryClient.getQueryData(
+        PLAYLIST_KEYS.detail(id)
+      );
+
+      // Show the new name/order immediately when the caller provides it
+      if (previousPlaylist?.data) {
+        queryClient.setQueryData(PLAYLIST_KEYS.detail(id), {
+          ...previousPlaylist,
+          data: {
+            ...previousPlaylist.data,
+            ...(name !== undefined && { name }),
+            ...(orderedSounds && { sounds: orderedSounds }),
+          },
+        });
+      }
+
+      return { previousPlaylist };
+    },
+    onError: (error, variables, context) => {
+      console.error("Update playlist error:", error);
+      if (context?.previousPlaylist) {
+        queryClient.setQueryData(
+          PLAYLIST_KEYS.detail(variables.id),
+          context.previousPlaylist
+        );
+      }
+      toast.error(error.response?.data?.message || "Failed to update playlist");
+    },
+    onSettled: (data, error, variables) => {
+      queryClient.invalidateQueries({
+        queryKey: PLAYLIST_KEYS.detail(variables.id),
+      });
+      queryClient.invalidateQueries({ queryKey: PLAYLIST_KEYS.lists() });
+    },
+  });
+};
+
+export const useDeletePlaylist = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async (playlistId) => {
+      const { data } = await apiClient.delete(
+        `/playlist/delete-playlist/${playlistId}`
+      );
+      return data;
+    },
+    onSuccess: () => {
+      toast.success("Playlist deleted successfully");
+      queryClient.invalidateQueries({ queryKey: PLAYLIST_KEYS.lists() });
+    },
+    onError: (error) => {
+      console.error("Delete playlist error:", error);
+      toast.error(error.response?.data?.message || "Failed to delete playlist");
+    },
+  });
+};
@@ -0,0 +1,102 @@
+// src/hooks/useSleepTimer.js
+import { useCallback, useEffect, useRef, useState } from "react";
+
+export const SLEEP_TIMER_MINUTES = [5, 15, 30, 60];
+
+// How long the volume takes to fade out before the player stops
+const SLEEP_FADE_SECONDS = 30;
+const TRACK_END_FADE_SECONDS = 5;
+const TICK_INTERVAL = 250;
+
+// Stops an <audio> element after a number of minutes or at the end of the
+// current pass through the track, fading the volume out first.
+// `loopRegionRef` holds the player's A–B region, whose end counts as the end
+// of the track while it's set.
+export const useSleepTimer = ({ audioRef, volume, loopRegionRef }) => {
+  // { type: "minutes", endsAt } or { type: "track" }
+  const [sleepTimer, setSleepTimer] = useState(null);
+  const [remainingSeconds, setRemainingSeconds] = useState(null);
+  const timerRef = useRef(sleepTimer);
+  timerRef.current = sleepTimer;
+  // The volume the fade starts from, kept current without restarting it
+  const volumeRef = useRef(volume);
+  volumeRef.current = volume;
+
+  const startSleepTimer = (minutes) => {
+    setSleepTimer({ type: "minutes", endsAt: Date.now() + minutes * 60000 });
+  };
+
+  const startEndOfTrackTimer = () => {
+    setSleepTimer({ type: "track" });
+  };
+
+  const cancelSleepTimer = () => {
+    setSleepTimer(null);
+  };
+
+  // Also called by the player when the track (or A–B region) reaches its
+  // end while stopping there
+  const finishSleepTimer = useCallback(() => {
+    const audio = audioRef.current;
+    if (audio) {
+      audio.pause();
+      audio.volume = volumeRef.current;
+    }
+    setSleepTimer(null);
+  }, [audioRef]);
+
+  const stopsAtTrackEnd = useCallback(
+    () => timerRef.current?.type === "track",
+    []
+  );
+
+  useEffect(() => {
+    if (!sleepTimer) {
+      setRemainingSeconds(null);
+      return;
+    }
+
+    const tick = () => {
+      const audio = audioRef.current;
+      if (!audio) return;
+
+      let remaining;
+      let fadeSeconds;
+      if (sleepTimer.type === "minutes") {
+        remaining = (sleepTimer.endsAt - Date.now()) / 1000;
+        fadeSeconds = SLEEP_FADE_SECONDS;
+      } else {
+        const trackEnd = loopRegionRef.current?.end ?? audio.duration;
+        if (!trackEnd || isNaN(trackEnd)) return;
+        remaining = (trackEnd - audio.currentTime) / (audio.playbackRate || 1);
+        fadeSeconds = Math.min(TRACK_END_FADE_SECONDS, trackEnd / 2);
+      }
+
+      setRemainingSeconds(Math.max(0, remaining));
+      if (remaining <= 0) {
+        finishSleepTimer();
+        return;
+      }
+      audio.volume = volumeRef.current * Math.min(1, remaining / fadeSeconds);
+    };
+
+    tick();
+    const intervalId = setInterval(tick, TICK_INTERVAL);
+
+    return () => {
+      clearInterval(intervalId);
+      // Cancelled mid-fade: back to the volume the user chose
+      if (audioRef.current) audioRef.current.volume = volumeRef.current;
+    };
+  }, [sleepTimer, audioRef, loopRegionRef, finishSleepTimer]);
+
+  return {
+    sleepTimer,
+    remainingSeconds,
+    startSleepTimer,
+    startEndOfTrackTimer,
+    cancelSleepTimer,
+    finishSleepTimer,
+    stopsAtTrackEnd,
+  };
+};
@@ -1,38 +1,135 @@
 // src/hooks/useSound.js
-import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
+import {
+  useInfiniteQuery,
+  useMutation,
+  useQueries,
+  useQuery,
+  useQueryClient,
+} from "@tanstack/react-query";
+import { useEffect, useRef, useState } from "react";
 import apiClient from "../lib/api-client";
+import { generateId } from "../lib/utils";
+import { getSoundFileError, getTitleFromFileName } from "../utils/sound-file";
+import {
+  getUncheckedReport,
+  inspectSoundFile,
+} from "../utils/sound-validation";
 import toast from "react-hot-toast";
 
 const SOUND_KEYS = {
   all: ["sounds"],
   lists: () => [...SOUND_KEYS.all, "list"],
   list: (filters) => [...SOUND_KEYS.lists(), { filters }],
+  infinite: (filters) => [...SOUND_KEYS.lists(), "infinite", { filters }],
   details: () => [...SOUND_KEYS.all, "detail"],
   detail: (id) => [...SOUND_KEYS.details(), id],
 };
 
-export const useSounds = (filters = {}) => {
+const fetchSounds = async (filters = {}) => {
+  const params = new URLSearchParams();
+
+  // A single category or a list of categories (multi-category browsing)
+  if (Array.isArray(filters.category)) {
+    filters.category.forEach((category) => params.append("category", category));
+  } else if (filters.category) {
+    params.append("category", filters.category);
+  }
+  if (filters.searchTerm) params.append("searchTerm", filters.searchTerm);
+  if (filters.page) params.append("page", filters.page);
+  if (filters.limit) params.append("limit", filters.limit);
+  // Server-side ordering, e.g. "title" or "-createdAt"
+  if (filters.sort) params.append("sort", filters.sort);
+
+  // Add parameter to show all sounds including premium
+  params.append("showAllSounds", "true");
+
+  const query = params.toString() ? `?${params.toString()}` : "";
+
+  const { data } = await apiClient.get(`/sound/get-all-sound${query}`);
+  return data;
+};
+
+export const useSounds = (filters = {}, options = {}) => {
   return useQuery({
     queryKey: SOUND_KEYS.list(filters),
-    queryFn: async () => {
-      const params = new URLSearchParams();
+    queryFn: () => fetchSounds(filters),
+    ...options,
+  });
+};
+
+const fetchAllSounds = async () => {
+  const sounds = [];
+  let page = 1;
+  let totalPage = 1;
 
-      if (filters.category) params.append("category", filters.category);
-      if (filters.searchTerm) params.append("searchTerm", filters.searchTerm);
-      if (filters.page) params.append("page", filters.page);
-      if (filters.limit) params.append("limit", filters.limit);
+  do {
+    const data = await fetchSounds({ page, limit: 100 });
+    sounds.push(...(data?.data || []));
+    totalPage = Number(data?.meta?.totalPage) || 1;
+    page++;
+  } while (page <= totalPage);
 
-      // Add parameter to show all sounds including premium
-      params.append("showAllSounds", "true");
+  // Same shape as a single page so cache updates can treat it alike
+  return { data: sounds };
+};
 
-      const query = params.toString() ? `?${params.toString()}` : "";
+const allSoundsQuery = {
+  queryKey: SOUND_KEYS.list({ all: true }),
+  queryFn: fetchAllSounds,
+  staleTime: 5 * 60 * 1000,
+};
 
-      const { data } = await apiClient.get(`/sound/get-all-sound${query}`);
-      return data;
+// Every sound in the library, for checks that need the full list
+export const useAllSounds = (options = {}) => {
+  return useQuery({ ...allSoundsQuery, ...options });
+};
+
+// Page through the library as the user scrolls
+export const useInfiniteSounds = (filters = {}, pageSize = 30) => {
+  return useInfiniteQuery({
+    queryKey: SOUND_KEYS.infinite({ ...filters, limit: pageSize }),
+    queryFn: ({ pageParam }) =>
+      fetchSounds({ ...filters, page: pageParam, limit: pageSize }),
+    initialPageParam: 1,
+    getNextPageParam: (lastPage) => {
+      const page = Number(lastPage?.meta?.page) || 1;
+      const totalPage = Number(lastPage?.meta?.totalPage) || 1;
+      return page < totalPage ? page + 1 : undefined;
     },
   });
 };
 
+// Item count from the meta of a 1-item page: the total when the backend
+// sends one, else the page count (one item per page); undefined if unknown
+const getSingleItemPageCount = (data) => {
+  const { total, totalPage } = data?.meta || {};
+  if (total != null && Number.isFinite(Number(total))) return Number(total);
+  if (data?.data && data.data.length === 0) return 0;
+  if (totalPage != null && Number.isFinite(Number(totalPage))) {
+    return Number(totalPage);
+  }
+  return undefined;
+};
+
+// Number of sounds per category, read from the list meta of a 1-item page
+export const useSoundCategoryCounts = (categories = []) => {
+  return useQueries({
+    queries: categories.map((category) => {
+      const filters = { category, page: 1, limit: 1 };
+      return {
+        queryKey: SOUND_KEYS.list(filters),
+        queryFn: () => fetchSounds(filters),
+        staleTime: 5 * 60 * 1000,
+      };
+    }),
+    combine: (results) =>
+      categories.reduce((counts, category, index) => {
+        counts[category] = getSingleItemPageCount(results[index]?.data);
+        return counts;
+      }, {}),
+  });
+};
+
 export const useSoundDetails = (soundId) => {
   return useQuery({
     queryKey: SOUND_KEYS.detail(soundId),
@@ -46,17 +143,325 @@ export const useSoundDetails = (soundId) => {
   });
 };
 
+// Upload one sound. `config` takes axios options such as
+// onUploadProgress and an AbortController signal.
+export const uploadSound = async (soundData, config = {}) => {
+  // Create FormData for file upload
+  const formData = new FormData();
+
+  // Add non-file data
+  formData.append(
+    "data",
+    JSON.stringify({
+      title: soundData.title,
+      description: soundData.description,
+      isPremium: soundData.isPremium,
+      category: soundData.category,
+    })
+  );
+
+  // Add sound file
+  formData.append("sound", soundData.soundFile);
+
+  const { data } = await apiClient.post("/sound/add-sound", formData, {
+    ...config,
+    headers: {
+      "Content-Type": "multipart/form-data",
+    },
+  });
+  return data;
+};
+
 export const useAddSound = () => {
   const queryClient = useQueryClient();
 
   return useMutation({
-    mutationFn: async (soundData) => {
-      // console.log("Adding new sound:", soundData.title);
+    mutationFn: (soundData) => uploadSound(soundData),
+    onSuccess: () => {
+      toast.success("Sound added successfully");
+      // Invalidate sounds list to trigger refetch
+      queryClient.invalidateQueries({ queryKey: SOUND_KEYS.lists() });
+    },
+    onError: (error) => {
+      console.error("Add sound error:", error);
+      toast.error(error.response?.data?.message || "Failed to add sound");
+    },
+  });
+};
+
+const BULK_UPLOAD_CONCURRENCY = 2;
+
+// Upload many sounds at once, a few at a time, tracking each file's status
+// ("checking" | "invalid" | "idle" | "queued" | "uploading" | "done" |
+// "error" | "cancelled")
+export const useBulkUploadSounds = () => {
+  const queryClient = useQueryClient();
+  const [uploads, setUploads] = useState([]);
+  // Mirrors `uploads` so the queue can be read synchronously
+  const uploadsRef = useRef([]);
+  const controllersRef = useRef(new Map());
+  // Lets cancelling or removing a file stop its pending inspection
+  const validationControllersRef = useRef(new Map());
+  const isBatchRunningRef = useRef(false);
+  const isMountedRef = useRef(true);
+  // Files are inspected one after another, decoding is heavy
+  const validationChainRef = useRef(Promise.resolve());
+
+  const setUploadList = (updater) => {
+    uploadsRef.current = updater(uploadsRef.current);
+    setUploads(uploadsRef.current);
+  };
+
+  const updateUpload = (id, changes) => {
+    setUploadList((list) =>
+      list.map((upload) => (upload.id === id ? { ...upload, ...changes } : upload))
+    );
+  };
+
+  const finishBatch = () => {
+    isBatchRunningRef.current = false;
+    queryClient.invalidateQueries({ queryKey: SOUND_KEYS.lists() });
+
+    const list = uploadsRef.current;
+    const doneCount = list.filter((upload) => upload.status === "done").length;
+    const failedCount = list.filter(
+      (upload) => upload.status === "error"
+    ).length;
+
+    if (failedCount > 0) {
+      toast.error(`${failedCount} of ${list.length} uploads failed`);
+    } else if (doneCount > 0) {
+      toast.success(`${doneCount} sounds uploaded successfully`);
+    }
+  };
+
+  const runUpload = async (upload) => {
+    const controller = new AbortController();
+    controllersRef.current.set(upload.id, controller);
+    updateUpload(upload.id, { status: "uploading", progress: 0, error: null });
+
+    try {
+      await uploadSound(
+        {
+          title: upload.title,
+          description: upload.description,
+          category: upload.category,
+          isPremium: upload.isPremium,
+          soundFile: upload.file,
+        },
+        {
+          signal: controller.signal,
+          onUploadProgress: (event) => {
+            if (!event.total) return;
+            updateUpload(upload.id, {
+              progress: Math.round((event.loaded / event.total) * 100),
+            });
+          },
+        }
+      );
+      updateUpload(upload.id, { status: "done", progress: 100 });
+    } catch (error) {
+      if (controller.signal.aborted) {
+        updateUpload(upload.id, { status: "cancelled" });
+      } else {
+        console.error("Bulk upload error:", error);
+        updateUpload(upload.id, {
+          status: "error",
+          error: error.response?.data?.message || "Upload failed",
+        });
+      }
+    } finally {
+      controllersRef.current.delete(upload.id);
+      processQueue();
+    }
+  };
 
-      // Create FormData for file upload
+  // Start queued uploads while there are free slots
+  const processQueue = () => {
+    if (!isMountedRef.current) return;
+
+    const list = uploadsRef.current;
+    let activeCount = list.filter(
+      (upload) => upload.status === "uploading"
+    ).length;
+
+    list
+      .filter((upload) => upload.status === "queued")
+      .forEach((upload) => {
+        if (activeCount >= BULK_UPLOAD_CONCURRENCY) return;
+        activeCount++;
+        runUpload(upload);
+      });
+
+    if (activeCount === 0 && isBatchRunningRef.current) finishBatch();
+  };
+
+  const queueUploads = (shouldQueue, getChanges = () => ({})) => {
+    setUploadList((list) =>
+      list.map((upload) =>
+        shouldQueue(upload)
+          ? { ...upload, ...getChanges(upload), status: "queued", error: null }
+          : upload
+      )
+    );
+    isBatchRunningRef.current = true;
+    processQueue();
+  };
+
+  /**
+   * Add files to the batch; returns the ones that were rejected
+   */
+  const addFiles = (files) => {
+    const rejected = [];
+    const accepted = [];
+
+    Array.from(files).forEach((file) => {
+      const error = getSoundFileError(file);
+      if (error) {
+        rejected.push({ file, error });
+        return;
+      }
+      accepted.push({
+        id: generateId(),
+        file,
+        title: getTitleFromFileName(file.name),
+        status: "checking",
+        progress: 0,
+        error: null,
+      });
+    });
+
+    setUploadList((list) => [...list, ...accepted]);
+    accepted.forEach(validateUpload);
+    return rejected;
+  };
+
+  const validateUpload = (upload) => {
+    const controller = new AbortController();
+    validationControllersRef.current.set(upload.id, controller);
+
+    validationChainRef.current = validationChainRef.current.then(async () => {
+      if (!isMountedRef.current || controller.signal.aborted) return;
+
+      let librarySounds = null;
+      try {
+        librarySounds = (await queryClient.ensureQueryData(allSoundsQuery))
+          .data;
+      } catch (error) {
+        console.error("Library fetch error:", error);
+      }
+
+      let report;
+      try {
+        report = await inspectSoundFile(upload.file, { librarySounds });
+      } catch (error) {
+        console.error("Sound inspection error:", error);
+        report = getUncheckedReport();
+      }
+
+      validationControllersRef.current.delete(upload.id);
+      // Cancelled or removed while it was being checked
+      if (!isMountedRef.current || controller.signal.aborted) return;
+
+      const failure = report.checks.find((check) => check.status === "fail");
+      updateUpload(
+        upload.id,
+        failure
+          ? { status: "invalid", error: failure.message }
+          : { status: "idle", report }
+      );
+    });
+  };
+
+  // Shared defaults are applied to every file when the batch starts
+  const startUploads = ({ category, isPremium, description = "" }) => {
+    queueUploads(
+      (upload) => upload.status === "idle",
+      (upload) => ({
+        category,
+        isPremium,
+        description: description.trim() || upload.title,
+      })
+    );
+  };
+
+  const retryUpload = (id) => {
+    queueUploads((upload) => upload.id === id);
+  };
+
+  const stopValidation = (id) => {
+    validationControllersRef.current.get(id)?.abort();
+    validationControllersRef.current.delete(id);
+  };
+
+  const cancelUpload = (id) => {
+    stopValidation(id);
+    const controller = controllersRef.current.get(id);
+    if (controller) {
+      controller.abort();
+    } else {
+      updateUpload(id, { status: "cancelled" });
+      processQueue();
+    }
+  };
+
+  const removeUpload = (id) => {
+    stopValidation(id);
+    setUploadList((list) => list.filter((upload) => upload.id !== id));
+  };
+
+  // Abort anything still in flight when the uploader goes away
+  useEffect(() => {
+    isMountedRef.current = true;
+    const controllers = controllersRef.current;
+
+    return () => {
+      isMountedRef.current = false;
+      controllers.forEach((controller) => controller.abort());
+      if (uploadsRef.current.some((upload) => upload.status === "done")) {
+        queryClient.invalidateQueries({ queryKey: SOUND_KEYS.lists() });
+      }
+    };
+  }, []);
+
+  return {
+    uploads,
+    addFiles,
+    updateUpload,
+    removeUpload,
+    startUploads,
+    retryUpload,
+    cancelUpload,
+    isUploading: uploads.some((upload) =>
+      ["queued", "uploading"].includes(upload.status)
+    ),
+  };
+};
+
+// Apply a change to one sound wherever it sits in the cached list pages
+const patchSoundInList = (list, soundId, changes) => {
+  if (!list) return list;
+  const patch = (sounds = []) =>
+    sounds.map((sound) =>
+      sound._id === soundId ? { ...sound, ...changes } : sound
+    );
+
+  if (list.pages) {
+    return {
+      ...list,
+      pages: list.pages.map((page) => ({ ...page, data: patch(page.data) })),
+    };
+  }
+  return { ...list, data: patch(list.data) };
+};
+
+export const useUpdateSound = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async ({ id, soundFile, ...soundData }) => {
       const formData = new FormData();
 
-      // Add non-file data
       formData.append(
         "data",
         JSON.stringify({
@@ -67,26 +472,61 @@ export const useAddSound = () => {
         })
       );
 
-      // Add sound file
-      formData.append("sound", soundData.soundFile);
+      // The file is only sent when it's being replaced
+      if (soundFile) formData.append("sound", soundFile);
 
-      const { data } = await apiClient.post("/sound/add-sound", formData, {
-        headers: {
-          "Content-Type": "multipart/form-data",
-        },
+      const { data } = await apiClient.patch(
+        `/sound/update-sound/${id}`,
+        formData,
+        {
+          headers: {
+            "Content-Type": "multipart/form-data",
+          },
+        }
+      );
+      return data;
+    },
+    onMutate: async ({ id, title, description, category, isPremium }) => {
+      await Promise.all([
+        queryClient.cancelQueries({ queryKey: SOUND_KEYS.detail(id) }),
+        queryClient.cancelQueries({ queryKey: SOUND_KEYS.lists() }),
+      ]);
+
+      const previousDetail = queryClient.getQueryData(SOUND_KEYS.detail(id));
+      const previousLists = queryClient.getQueriesData({
+        queryKey: SOUND_KEYS.lists(),
       });
 
-      // console.log("Add sound response:", data);
-      return data;
+      // The new file's link is only known once the server responds
+      const changes = { title, description, category, isPremium };
+      if (previousDetail?.data) {
+        queryClient.setQueryData(SOUND_KEYS.detail(id), {
+          ...previousDetail,
+          data: { ...previousDetail.data, ...changes },
+        });
+      }
+      queryClient.setQueriesData({ queryKey: SOUND_KEYS.lists() }, (old) =>
+        patchSoundInList(old, id, changes)
+      );
+
+      return { previousDetail, previousLists };
     },
     onSuccess: () => {
-      toast.success("Sound added successfully");
-      // Invalidate sounds list to trigger refetch
-      queryClient.invalidateQueries({ queryKey: SOUND_KEYS.lists() });
+      toast.success("Sound updated successfully");
     },
-    onError: (error) => {
-      console.error("Add sound error:", error);
-      toast.error(error.response?.data?.message || "Failed to add sound");
+    onError: (error, { id }, context) => {
+      console.error("Update sound error:", error);
+      if (context?.previousDetail) {
+        queryClient.setQueryData(SOUND_KEYS.detail(id), context.previousDetail);
+      }
+      context?.previousLists?.forEach(([queryKey, data]) =>
+        queryClient.setQueryData(queryKey, data)
+      );
+      toast.error(error.response?.data?.message || "Failed to update sound");
+    },
+    onSettled: (data, error, { id }) => {
+      queryClient.invalidateQueries({ queryKey: SOUND_KEYS.detail(id) });
+      queryClient.invalidateQueries({ queryKey: SOUND_KEYS.lists() });
     },
   });
 };
@@ -0,0 +1,76 @@
+// src/hooks/useSoundHistory.js
+import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
+import toast from "react-hot-toast";
+import {
+  addHistoryEntry,
+  clearHistory,
+  loadHistory,
+  syncHistory,
+} from "../utils/sound-history";
+
+const HISTORY_KEYS = {
+  all: ["soundHistory"],
+  list: (userId) => [...HISTORY_KEYS.all, userId],
+};
+
+// Plays and sends recorded on this device, newest first
+export const useSoundHistory = (userId) => {
+  const queryClient = useQueryClient();
+
+  return useQuery({
+    queryKey: HISTORY_KEYS.list(userId),
+    queryFn: async () => {
+      // Push anything recorded while offline; local data is the source of truth
+      syncHistory(userId)
+        .then((entries) => {
+          if (entries) {
+            queryClient.setQueryData(HISTORY_KEYS.list(userId), entries);
+          }
+        })
+        .catch((error) => console.error("History sync error:", error));
+      return loadHistory(userId);
+    },
+    // Only this device writes the history, and every write updates the cache
+    staleTime: Infinity,
+  });
+};
+
+export const useRecordSoundHistory = (userId) => {
+  const queryClient = useQueryClient();
+
+  const record = (entry) =>
+    addHistoryEntry(userId, entry)
+      .then((entries) => {
+        queryClient.setQueryData(HISTORY_KEYS.list(userId), entries);
+        return syncHistory(userId);
+      })
+      .then((entries) => {
+        if (entries) {
+          queryClient.setQueryData(HISTORY_KEYS.list(userId), entries);
+        }
+      })
+      // History is best-effort and must never break playing or sending
+      .catch((error) => console.error("Record history error:", error));
+
+  return {
+    recordPlay: (sound) => record({ type: "play", sound }),
+    recordSend: (sound, recipients) =>
+      record({ type: "send", sound, recipients }),
+  };
+};
+
+export const useClearSoundHistory = (userId) => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: () => clearHistory(userId),
+    onSuccess: () => {
+      queryClient.setQueryData(HISTORY_KEYS.list(userId), []);
+      toast.success("History cleared");
+    },
+    onError: (error) => {
+      console.error("Clear history error:", error);
+      toast.error("Failed to clear history");
+    },
+  });
+};
@@ -0,0 +1,150 @@
+// src/hooks/useSoundboardPlayer.js
+import { useCallback, useEffect, useRef, useState } from "react";
+import { fetchAudioBuffer, getAudioContext } from "../lib/audio-context";
+import { getSoundUrl } from "../contexts/AudioPlayerContext";
+import { PREMIUM_PREVIEW } from "../config/constants";
+
+// Oldest voices are cut once this many sounds overlap
+const MAX_VOICES = 16;
+const PRELOAD_CONCURRENCY = 3;
+
+// Decoded PCM is large (about 10 MB a minute in stereo), so the cache of
+// buffers shared by every soundboard is capped
+const MAX_CACHE_BYTES = 150 * 1024 * 1024;
+
+// url -> { promise, bytes }, least recently used first
+const bufferCache = new Map();
+let cachedBytes = 0;
+
+const getBufferBytes = (buffer) => buffer.length * buffer.numberOfChannels * 4;
+
+const evictBuffers = (keepUrl) => {
+  for (const [url, entry] of bufferCache) {
+    if (cachedBytes <= MAX_CACHE_BYTES) break;
+    // Buffers still decoding have no size yet and are about to be used
+    if (url === keepUrl || !entry.bytes) continue;
+    bufferCache.delete(url);
+    cachedBytes -= entry.bytes;
+  }
+};
+
+const loadBuffer = (url) => {
+  const cached = bufferCache.get(url);
+  if (cached) {
+    // Move to the most recently used end
+    bufferCache.delete(url);
+    bufferCache.set(url, cached);
+    return cached.promise;
+  }
+
+  const entry = { bytes: 0 };
+  entry.promise = fetchAudioBuffer(url).then(
+    (buffer) => {
+      if (bufferCache.get(url) === entry) {
+        entry.bytes = getBufferBytes(buffer);
+        cachedBytes += entry.bytes;
+        evictBuffers(url);
+      }
+      return buffer;
+    },
+    (error) => {
+      if (bufferCache.get(url) === entry) bufferCache.delete(url);
+      throw error;
+    }
+  );
+  bufferCache.set(url, entry);
+  return entry.promise;
+};
+
+/**
+ * Polyphonic playback for the soundboard. Unlike the app-wide audio player,
+ * every trigger starts a new voice, so the same or different sounds overlap.
+ */
+export const useSoundboardPlayer = () => {
+  const voicesRef = useRef([]);
+  // How many voices of each sound are currently sounding
+  const [activeCounts, setActiveCounts] = useState({});
+
+  const updateCount = (soundId, delta) =>
+    setActiveCounts((prev) => {
+      const count = (prev[soundId] || 0) + delta;
+      const next = { ...prev };
+      if (count > 0) {
+        next[soundId] = count;
+      } else {
+        delete next[soundId];
+      }
+      return next;
+    });
+
+  const preload = useCallback(async (sounds) => {
+    const queue = [...sounds];
+    const worker = async () => {
+      while (queue.length > 0) {
+        const sound = queue.shift();
+        await loadBuffer(getSoundUrl(sound)).catch(() => {});
+      }
+    };
+    await Promise.all(Array.from({ length: PRELOAD_CONCURRENCY }, worker));
+  }, []);
+
+  /**
+   * Start a new voice. `preview` limits it to the premium preview length,
+   * fading out like the main player does.
+   */
+  const trigger = useCallback(async (sound, { preview = false } = {}) => {
+    const context = getAudioContext();
+    // Browsers keep the context suspended until a user gesture
+    if (context.state === "suspended") {
+      context.resume().catch(() => {});
+    }
+
+    const buffer = await loadBuffer(getSoundUrl(sound));
+    const source = context.createBufferSource();
+    const gain = context.createGain();
+    source.buffer = buffer;
+    source.connect(gain).connect(context.destination);
+
+    const now = context.currentTime;
+    if (preview && buffer.duration > PREMIUM_PREVIEW.DURATION_SECONDS) {
+      const { DURATION_SECONDS, FADE_OUT_SECONDS } = PREMIUM_PREVIEW;
+      gain.gain.setValueAtTime(1, now + DURATION_SECONDS - FADE_OUT_SECONDS);
+      gain.gain.linearRampToValueAtTime(0, now + DURATION_SECONDS);
+      source.start(now, 0, DURATION_SECONDS);
+    } else {
+      source.start(now);
+    }
+
+    const voice = { soundId: sound.id, source };
+    voicesRef.current.push(voice);
+    updateCount(sound.id, 1);
+
+    source.onended = () => {
+      voicesRef.current = voicesRef.current.filter((v) => v !== voice);
+      updateCount(sound.id, -1);
+      gain.disconnect();
+    };
+
+    if (voicesRef.current.length > MAX_VOICES) {
+      voicesRef.current.shift().source.stop();
+    }
+  }, []);
+
+  const stopAll = useCallback(() => {
+    voicesRef.current.forEach((voice) => voice.source.stop());
+  }, []);
+
+  // Nothing keeps sounding after leaving the soundboard
+  useEffect(() => stopAll, [stopAll]);
+
+  return {
+    trigger,
+    preload,
+    stopAll,
+    isActive: (soundId) => !!activeCounts[soundId],
+    activeVoiceCount: Object.values(activeCounts).reduce(
+      (total, count) => total + count,
+      0
+    ),
+  };
+};
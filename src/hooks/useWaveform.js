@@ -0,0 +1,29 @@
+// src/hooks/useWaveform.js
+import { useQuery } from "@tanstack/react-query";
+import { getWaveformPeaks, WAVEFORM_BAR_COUNT } from "../utils/waveform";
+
+const WAVEFORM_KEYS = {
+  all: ["waveforms"],
+  detail: (soundId, url, barCount) => [
+    ...WAVEFORM_KEYS.all,
+    soundId,
+    url,
+    barCount,
+  ],
+};
+
+export const useWaveform = (
+  soundId,
+  url,
+  { enabled = true, barCount = WAVEFORM_BAR_COUNT } = {}
+) => {
+  return useQuery({
+    queryKey: WAVEFORM_KEYS.detail(soundId, url, barCount),
+    queryFn: () => getWaveformPeaks(soundId, url, barCount),
+    enabled: enabled && !!soundId && !!url,
+    // Peaks never change for a given file
+    staleTime: Infinity,
+    gcTime: 30 * 60 * 1000,
+    retry: false,
+  });
+};
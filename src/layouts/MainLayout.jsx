@@ -2,26 +2,35 @@
 import { Outlet, useLocation } from "react-router-dom";
 import { motion } from "framer-motion";
 import { useAudioUrlDetector } from "../hooks/useAudioUrlDetector";
+import MiniPlayer from "../components/AudioPlayer/MiniPlayer";
+import PreviewUpsell from "../components/AudioPlayer/PreviewUpsell";
+import OfflineIndicator from "../components/common/OfflineIndicator";
 
 const MainLayout = () => {
   const location = useLocation();
   useAudioUrlDetector();
 
   return (
-    <motion.div
-      key={location.pathname}
-      initial={{ opacity: 0 }}
-      animate={{ opacity: 1 }}
-      exit={{ opacity: 0 }}
-      transition={{ duration: 0.3 }}
-      className='max-h-screen bg-background'
-    >
-      <main className='md:container mx-auto flex justify-center'>
-        <div className='w-full md:max-w-md'>
-          <Outlet />
-        </div>
-      </main>
-    </motion.div>
+    <>
+      <OfflineIndicator />
+      <motion.div
+        key={location.pathname}
+        initial={{ opacity: 0 }}
+        animate={{ opacity: 1 }}
+        exit={{ opacity: 0 }}
+        transition={{ duration: 0.3 }}
+        className='max-h-screen bg-background'
+      >
+        <main className='md:container mx-auto flex justify-center'>
+          <div className='w-full md:max-w-md'>
+            <Outlet />
+          </div>
+        </main>
+      </motion.div>
+      {/* Playback state lives in AudioPlayerContext, so it survives navigation */}
+      <MiniPlayer />
+      <PreviewUpsell />
+    </>
   );
 };
 
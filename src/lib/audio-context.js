@@ -0,0 +1,33 @@
+// src/lib/audio-context.js
+let audioContext = null;
+
+// Shared Web Audio context, created lazily on first use
+export function getAudioContext() {
+  if (!audioContext) {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    audioContext = new AudioContextClass();
+  }
+  return audioContext;
+}
+
+// Decode an encoded audio file (mp3, wav, ogg...) into an AudioBuffer
+export function decodeAudio(arrayBuffer) {
+  const context = getAudioContext();
+
+  // Older Safari only supports the callback form
+  return new Promise((resolve, reject) => {
+    const result = context.decodeAudioData(arrayBuffer, resolve, reject);
+    if (result && typeof result.then === "function") {
+      result.then(resolve, reject);
+    }
+  });
+}
+
+// Fetch and decode an audio file from a URL
+export async function fetchAudioBuffer(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to fetch audio (${response.status})`);
+  }
+  return decodeAudio(await response.arrayBuffer());
+}
@@ -0,0 +1,144 @@
+// src/lib/element-audio-graph.js
+import { getAudioContext } from "./audio-context";
+import { createPitchShifter } from "./pitch-shifter";
+
+// An element can only be connected to Web Audio once and stays connected for
+// its lifetime, so only route elements owned by a single player, never the
+// app-wide one. Graph: source -> (pitch shifter) -> analyser -> speakers
+const elementGraphs = new WeakMap();
+// Pending or finished CORS switches, by element, for its current source
+const corsSwitches = new WeakMap();
+
+const getElementGraph = (audio) => {
+  let graph = elementGraphs.get(audio);
+  if (graph) return graph;
+
+  const context = getAudioContext();
+  const source = context.createMediaElementSource(audio);
+  const analyser = context.createAnalyser();
+  analyser.fftSize = 2048;
+  analyser.smoothingTimeConstant = 0.8;
+
+  source.connect(analyser);
+  analyser.connect(context.destination);
+
+  // The shifter is created on first use; its oscillating ramps cost CPU
+  graph = { context, source, analyser, shifter: null, isShifted: false };
+  elementGraphs.set(audio, graph);
+  return graph;
+};
+
+// A suspended context would silence the element, and browsers only allow
+// resuming it shortly after a user gesture
+const isContextRunning = async () => {
+  const context = getAudioContext();
+  if (context.state === "suspended") {
+    await context.resume().catch(() => {});
+  }
+  return context.state === "running";
+};
+
+const allowsCors = async (url) => {
+  if (/^(blob|data):/.test(url)) return true;
+  try {
+    const response = await fetch(url, { method: "HEAD", mode: "cors" });
+    return response.ok;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Reload the current source with CORS, keeping the position and whether
+// it was playing
+const reloadWithCors = (audio) =>
+  new Promise((resolve) => {
+    const time = audio.currentTime;
+    const wasPlaying = !audio.paused;
+
+    const onLoaded = () => {
+      audio.removeEventListener("loadedmetadata", onLoaded);
+      audio.removeEventListener("error", onLoaded);
+      audio.currentTime = time;
+      if (wasPlaying) audio.play().catch(() => {});
+      resolve(!audio.error);
+    };
+    audio.addEventListener("loadedmetadata", onLoaded);
+    audio.addEventListener("error", onLoaded);
+
+    audio.crossOrigin = "anonymous";
+    audio.src = audio.currentSrc || audio.src;
+  });
+
+// Web Audio outputs silence for cross-origin audio loaded without CORS, but
+// asking for CORS up front would break hosts that don't send the headers
+const ensureCors = (audio) => {
+  const src = audio.currentSrc || audio.src;
+  if (!src) return Promise.resolve(false);
+  if (audio.crossOrigin === "anonymous") return Promise.resolve(true);
+
+  const pending = corsSwitches.get(audio);
+  if (pending?.src === src) return pending.promise;
+
+  const promise = allowsCors(src).then((allowed) =>
+    allowed ? reloadWithCors(audio) : false
+  );
+  corsSwitches.set(audio, { src, promise });
+  return promise;
+};
+
+/**
+ * Get an element ready to be routed through Web Audio: the context is
+ * running and its source is loaded with CORS. Resolves false when it can't
+ * be, in which case routing it would only silence it.
+ */
+export const prepareElementRouting = async (audio) => {
+  if (elementGraphs.has(audio)) return isContextRunning();
+  return (await isContextRunning()) && ensureCors(audio);
+};
+
+export const isElementRouted = (audio) => elementGraphs.has(audio);
+
+/**
+ * Shift the pitch of an <audio> element prepared with
+ * `prepareElementRouting`. The element is only routed through Web Audio once
+ * something needs it; at zero the shifter is bypassed.
+ */
+export const setElementPitch = (audio, semitones) => {
+  if (!semitones && !elementGraphs.has(audio)) return;
+
+  const graph = getElementGraph(audio);
+  if (graph.context.state === "suspended") {
+    graph.context.resume().catch(() => {});
+  }
+
+  const isShifted = semitones !== 0;
+  if (isShifted && !graph.shifter) {
+    graph.shifter = createPitchShifter(graph.context);
+    graph.shifter.output.connect(graph.analyser);
+  }
+  if (graph.isShifted !== isShifted) {
+    graph.source.disconnect();
+    graph.source.connect(isShifted ? graph.shifter.input : graph.analyser);
+    graph.isShifted = isShifted;
+  }
+  graph.shifter?.setSemitones(semitones);
+};
+
+/**
+ * AnalyserNode fed by whatever the element is playing
+ */
+export const getElementAnalyser = (audio) => getElementGraph(audio).analyser;
+
+/**
+ * Tear down an element's graph once its player is gone. The element can't
+ * be routed again afterwards, so it must not be reused.
+ */
+export const releaseElement = (audio) => {
+  const graph = elementGraphs.get(audio);
+  if (!graph) return;
+
+  graph.source.disconnect();
+  graph.analyser.disconnect();
+  graph.shifter?.dispose();
+  elementGraphs.delete(audio);
+};
@@ -0,0 +1,121 @@
+// src/lib/pitch-shifter.js
+
+// Delay-line pitch shifter: two delay lines whose delay time ramps
+// continuously, crossfaded so the jump at the end of each ramp is inaudible.
+// A falling delay raises the pitch and a rising one lowers it.
+const MAX_DELAY_TIME = 0.1;
+const FADE_TIME = 0.05;
+const BUFFER_TIME = 0.1;
+
+export const MAX_PITCH_SEMITONES = 12;
+
+const createFadeBuffer = (context) => {
+  const length = Math.round(BUFFER_TIME * context.sampleRate);
+  const fadeLength = Math.round(FADE_TIME * context.sampleRate);
+  const buffer = context.createBuffer(1, length, context.sampleRate);
+  const data = buffer.getChannelData(0);
+
+  for (let i = 0; i < length; i++) {
+    if (i < fadeLength) {
+      data[i] = Math.sqrt(i / fadeLength);
+    } else if (i >= length - fadeLength) {
+      data[i] = Math.sqrt(1 - (i - (length - fadeLength)) / fadeLength);
+    } else {
+      data[i] = 1;
+    }
+  }
+  return buffer;
+};
+
+const createRampBuffer = (context, isFalling) => {
+  const length = Math.round(BUFFER_TIME * context.sampleRate);
+  const buffer = context.createBuffer(1, length, context.sampleRate);
+  const data = buffer.getChannelData(0);
+
+  for (let i = 0; i < length; i++) {
+    data[i] = isFalling ? (length - i) / length : i / length;
+  }
+  return buffer;
+};
+
+const createLoopingSource = (context, buffer) => {
+  const source = context.createBufferSource();
+  source.buffer = buffer;
+  source.loop = true;
+  return source;
+};
+
+/**
+ * Real-time pitch shifter node pair: connect audio to `input` and take the
+ * shifted signal from `output`. Pitch changes don't affect speed.
+ */
+export const createPitchShifter = (context) => {
+  const input = context.createGain();
+  const output = context.createGain();
+
+  const risingRamp = createRampBuffer(context, false);
+  const fallingRamp = createRampBuffer(context, true);
+  const fadeBuffer = createFadeBuffer(context);
+
+  // Each delay line is driven by a rising ramp (pitch down) and a falling
+  // ramp (pitch up); gains pick which one is active
+  const lines = [0, 1].map(() => {
+    const delay = context.createDelay(1);
+    const depth = context.createGain();
+    const down = context.createGain();
+    const up = context.createGain();
+    const mix = context.createGain();
+    const downRamp = createLoopingSource(context, risingRamp);
+    const upRamp = createLoopingSource(context, fallingRamp);
+    const fade = createLoopingSource(context, fadeBuffer);
+
+    downRamp.connect(down).connect(depth);
+    upRamp.connect(up).connect(depth);
+    depth.connect(delay.delayTime);
+    mix.gain.value = 0;
+    fade.connect(mix.gain);
+    input.connect(delay).connect(mix).connect(output);
+
+    return { depth, down, up, sources: [downRamp, upRamp, fade] };
+  });
+
+  // The second line runs half a cycle behind, covering the first's crossfade
+  const startTime = context.currentTime + 0.05;
+  lines.forEach((line, index) => {
+    const offset = index * (BUFFER_TIME - FADE_TIME);
+    line.sources.forEach((source) => source.start(startTime + offset));
+  });
+
+  const setSemitones = (semitones) => {
+    const clamped = Math.min(
+      Math.max(semitones, -MAX_PITCH_SEMITONES),
+      MAX_PITCH_SEMITONES
+    );
+    const ratio = Math.pow(2, clamped / 12);
+    // The delay changes by `depth` seconds over each BUFFER_TIME ramp, so the
+    // pitch ratio is 1 ± depth / BUFFER_TIME
+    const depthTime = Math.abs(ratio - 1) * BUFFER_TIME;
+    const isUp = ratio > 1;
+
+    lines.forEach((line) => {
+      line.up.gain.value = isUp ? 1 : 0;
+      line.down.gain.value = isUp ? 0 : 1;
+      line.depth.gain.setTargetAtTime(
+        Math.min(depthTime, MAX_DELAY_TIME),
+        context.currentTime,
+        0.01
+      );
+    });
+  };
+
+  // The ramps loop forever, so they have to be stopped explicitly
+  const dispose = () => {
+    lines.forEach((line) => line.sources.forEach((source) => source.stop()));
+    input.disconnect();
+    output.disconnect();
+  };
+
+  setSemitones(0);
+
+  return { input, output, setSemitones, dispose };
+};
@@ -0,0 +1,13 @@
+// src/lib/service-worker.js
+
+// Register public/sw.js, which serves the app shell and saved sounds offline.
+// Skipped in development so cached responses never mask hot updates.
+export function registerServiceWorker() {
+  if (!import.meta.env.PROD || !("serviceWorker" in navigator)) return;
+
+  window.addEventListener("load", () => {
+    navigator.serviceWorker.register("/sw.js").catch((error) => {
+      console.error("Service worker registration failed:", error);
+    });
+  });
+}
@@ -10,6 +10,8 @@ import { ThemeProvider } from "./contexts/ThemeContext";
 import AppRoutes from "./routes";
 import { HelmetProvider } from "react-helmet-async";
 import { SelectedSoundProvider } from "./contexts/SelectedSoundContext";
+import { AudioPlayerProvider } from "./contexts/AudioPlayerContext";
+import { registerServiceWorker } from "./lib/service-worker";
 
 // Create a client
 const queryClient = new QueryClient({
@@ -21,6 +23,8 @@ const queryClient = new QueryClient({
   },
 });
 
+registerServiceWorker();
+
 ReactDOM.createRoot(document.getElementById("root")).render(
   <HelmetProvider>
     <React.StrictMode>
@@ -29,32 +33,34 @@ ReactDOM.createRoot(document.getElementById("root")).render(
       >
         <QueryClientProvider client={queryClient}>
           <SelectedSoundProvider>
-            <ThemeProvider>
-              <AuthProvider>
-                <Toaster
-                  position='top-center'
-                  toastOptions={{
-                    duration: 3000,
-                    style: {
-                      background: "#fff",
-                      color: "#333",
-                    },
-                    success: {
+            <AudioPlayerProvider>
+              <ThemeProvider>
+                <AuthProvider>
+                  <Toaster
+                    position='top-center'
+                    toastOptions={{
+                      duration: 3000,
                       style: {
-                        border: "1px solid #00AE34",
+                        background: "#fff",
+                        color: "#333",
                       },
-                    },
-                    error: {
-                      style: {
-                        border: "1px solid #ff4b4b",
+                      success: {
+                        style: {
+                          border: "1px solid #00AE34",
+                        },
+                      },
+                      error: {
+                        style: {
+                          border: "1px solid #ff4b4b",
+                        },
                       },
-                    },
-                  }}
-                />
-                <AppRoutes />
-                <ReactQueryDevtools initialIsOpen={false} />
-              </AuthProvider>
-            </ThemeProvider>
+                    }}
+                  />
+                  <AppRoutes />
+                  <ReactQueryDevtools initialIsOpen={false} />
+                </AuthProvider>
+              </ThemeProvider>
+            </AudioPlayerProvider>
           </SelectedSoundProvider>
         </QueryClientProvider>
       </BrowserRouter>
@@ -1,14 +1,56 @@
 // src/pages/app/AudioPlayer/AudioPlayerPage.jsx
-import { useEffect, useState } from "react";
+import { useEffect, useMemo, useState } from "react";
 import { useParams, useNavigate } from "react-router-dom";
 import { motion } from "framer-motion";
 import AudioPlayerModal from "../../../components/AudioPlayer/AudioPlayerModal";
 import { StatusBar } from "../../../components/common/StatusBar";
+import { useSounds } from "../../../hooks/useSound";
+import { getTitleFromFileName } from "../../../utils/sound-file";
+
+const SHARED_LINK_PREFIX = "/audios/";
+const LOOKUP_STALE_TIME = 5 * 60 * 1000;
+
+// The next free sound in the same category, wrapping around, so the lock
+// screen's next-track button keeps going through shareable sounds
+const getNextSound = (sounds, current) => {
+  const candidates = sounds.filter(
+    (sound) =>
+      !sound.isPremium &&
+      sound.category === current.category &&
+      sound.link?.startsWith(SHARED_LINK_PREFIX)
+  );
+  const index = candidates.findIndex((sound) => sound._id === current._id);
+  const next = candidates[(index + 1) % candidates.length];
+  return next && next._id !== current._id ? next : null;
+};
 
 const AudioPlayerPage = () => {
   const { audioPath } = useParams();
   const [audioUrl, setAudioUrl] = useState("");
   const navigate = useNavigate();
+  const sharedLink = `${SHARED_LINK_PREFIX}${audioPath}`;
+
+  // The shared link only has the file path, so look the sound up by the
+  // title its file name suggests instead of loading the whole library
+  const { data: matchData } = useSounds(
+    { searchTerm: getTitleFromFileName(audioPath || ""), limit: 20 },
+    { enabled: !!audioPath, staleTime: LOOKUP_STALE_TIME }
+  );
+  const sound = useMemo(
+    () =>
+      (matchData?.data || []).find((item) => item.link === sharedLink) || null,
+    [matchData, sharedLink]
+  );
+
+  // One page of the sound's category is enough to pick the next track
+  const { data: categoryData } = useSounds(
+    { category: sound?.category, limit: 100 },
+    { enabled: !!sound?.category, staleTime: LOOKUP_STALE_TIME }
+  );
+  const nextSound = useMemo(
+    () => (sound ? getNextSound(categoryData?.data || [], sound) : null),
+    [categoryData, sound]
+  );
 
   useEffect(() => {
     if (audioPath) {
@@ -21,6 +63,10 @@ const AudioPlayerPage = () => {
     navigate("/sound-library");
   };
 
+  const playNextSound = () => {
+    navigate(`/play${nextSound.link}`);
+  };
+
   return (
     <>
       {audioUrl && (
@@ -51,6 +97,9 @@ const AudioPlayerPage = () => {
               audioUrl={audioUrl}
               onClose={handleClose}
               autoplay={true}
+              title={sound?.title || getTitleFromFileName(audioPath)}
+              category={sound?.category}
+              onNextTrack={nextSound ? playNextSound : undefined}
             />
           </div>
         </main>
@@ -0,0 +1,273 @@
+// src\pages\app\History\History.jsx
+import { useState } from "react";
+import { AnimatePresence, motion } from "framer-motion";
+import { Clock, Pause, Play, Send, Trash2 } from "lucide-react";
+import toast from "react-hot-toast";
+import { Helmet } from "react-helmet-async";
+import { Link } from "react-router-dom";
+import Header from "../../../components/common/Header";
+import { Button } from "../../../components/ui/button";
+import { useAuth } from "../../../contexts/AuthContext";
+import { useAudioPlayer } from "../../../contexts/AudioPlayerContext";
+import {
+  useSoundHistory,
+  useRecordSoundHistory,
+  useClearSoundHistory,
+} from "../../../hooks/useSoundHistory";
+import { PREMIUM_PREVIEW, ROUTES } from "../../../config/constants";
+
+const FILTERS = [
+  { value: "all", label: "All" },
+  { value: "play", label: "Played" },
+  { value: "send", label: "Sent" },
+];
+
+const getDayLabel = (timestamp) => {
+  const date = new Date(timestamp);
+  const today = new Date();
+  const yesterday = new Date();
+  yesterday.setDate(today.getDate() - 1);
+
+  if (date.toDateString() === today.toDateString()) return "Today";
+  if (date.toDateString() === yesterday.toDateString()) return "Yesterday";
+  return date.toLocaleDateString("en-US", {
+    weekday: "long",
+    month: "short",
+    day: "numeric",
+  });
+};
+
+const formatTime = (timestamp) =>
+  new Date(timestamp).toLocaleTimeString("en-US", {
+    hour: "numeric",
+    minute: "2-digit",
+  });
+
+// Entries are newest first, so consecutive entries share a day
+const groupByDay = (entries) =>
+  entries.reduce((groups, entry) => {
+    const label = getDayLabel(entry.timestamp);
+    const last = groups[groups.length - 1];
+    if (last?.label === label) {
+      last.entries.push(entry);
+    } else {
+      groups.push({ label, entries: [entry] });
+    }
+    return groups;
+  }, []);
+
+const History = () => {
+  const { user, signOut } = useAuth();
+  const [filter, setFilter] = useState("all");
+  const [isClearModalOpen, setIsClearModalOpen] = useState(false);
+  const isSubscribed = user?.isSubscribed || false;
+
+  const { data: entries = [], isLoading } = useSoundHistory(user?._id);
+  const { recordPlay } = useRecordSoundHistory(user?._id);
+  const clearHistoryMutation = useClearSoundHistory(user?._id);
+  const { playSound, stop: stopAudio, isSoundPlaying } = useAudioPlayer();
+
+  const visibleEntries =
+    filter === "all"
+      ? entries
+      : entries.filter((entry) => entry.type === filter);
+  const groups = groupByDay(visibleEntries);
+
+  const togglePlay = (sound) => {
+    if (isSoundPlaying(sound.id)) {
+      stopAudio();
+      return;
+    }
+
+    // Non-subscribers get a short preview of premium sounds
+    const isPreview = sound.isPremium && !isSubscribed;
+    if (isPreview) {
+      toast(`Playing a ${PREMIUM_PREVIEW.DURATION_SECONDS}s preview`);
+    }
+    playSound(sound, { preview: isPreview });
+    recordPlay(sound);
+  };
+
+  const confirmClear = () => {
+    clearHistoryMutation.mutate(undefined, {
+      onSuccess: () => setIsClearModalOpen(false),
+    });
+  };
+
+  const renderEntry = (entry) => {
+    const isPlaying = isSoundPlaying(entry.sound.id);
+    const recipientNames = entry.recipients
+      .map((recipient) => recipient.name)
+      .filter(Boolean)
+      .join(", ");
+
+    return (
+      <div
+        key={entry.id}
+        className="flex items-center gap-3 p-3 rounded-lg hover:bg-gray-50 hover:text-black transition-colors"
+      >
+        <div
+          className={`p-2 rounded-full ${
+            entry.type === "send"
+              ? "bg-green-100 text-green-600"
+              : "bg-blue-100 text-primary"
+          }`}
+        >
+          {entry.type === "send" ? <Send size={14} /> : <Play size={14} />}
+        </div>
+
+        <div className="flex-1 min-w-0">
+          <Link
+            to={ROUTES.SOUND_DETAILS.replace(":id", entry.sound.id)}
+            className="block text-sm font-medium truncate hover:underline"
+          >
+            {entry.sound.name}
+          </Link>
+          <p className="text-xs text-muted-foreground truncate">
+            {entry.type === "send"
+              ? recipientNames
+                ? `Sent to ${recipientNames}`
+                : "Shared"
+              : "Played"}{" "}
+            · {formatTime(entry.timestamp)}
+          </p>
+        </div>
+
+        <motion.button
+          whileHover={{ scale: 1.05 }}
+          whileTap={{ scale: 0.95 }}
+          onClick={() => togglePlay(entry.sound)}
+          className={`rounded-full w-8 h-8 flex items-center justify-center text-white ${
+            isPlaying
+              ? "bg-red-500 hover:bg-red-600"
+              : "bg-primary hover:bg-blue-600"
+          } transition-colors shadow-sm`}
+          title={isPlaying ? "Stop" : "Play"}
+        >
+          {isPlaying ? <Pause size={14} /> : <Play size={14} />}
+        </motion.button>
+      </div>
+    );
+  };
+
+  return (
+    <div className="bg-background flex flex-row justify-center w-full min-h-screen">
+      <div className="bg-card w-full max-w-md relative shadow-md flex flex-col">
+        <Helmet>
+          <title>History | Poop Alert</title>
+          <meta name="robots" content="noindex, nofollow" />
+        </Helmet>
+
+        <Header
+          backHref="/sound-library"
+          title="History"
+          onLogoutClick={signOut}
+        />
+
+        <div className="flex-1 p-4 pb-24">
+          <div className="flex items-center gap-2 mb-4">
+            <div className="flex flex-1 gap-2">
+              {FILTERS.map((option) => (
+                <button
+                  key={option.value}
+                  onClick={() => setFilter(option.value)}
+                  className={`px-3 py-1.5 rounded-full text-xs font-medium border transition-colors ${
+                    filter === option.value
+                      ? "bg-primary text-white border-primary"
+                      : "bg-gray-100 text-gray-700 border-gray-200 hover:bg-gray-200"
+                  }`}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
+            <Button
+              size="icon"
+              variant="ghost"
+              title="Clear history"
+              className="text-red-500"
+              onClick={() => setIsClearModalOpen(true)}
+              disabled={entries.length === 0 || clearHistoryMutation.isPending}
+            >
+              <Trash2 size={16} />
+            </Button>
+          </div>
+
+          {isLoading ? (
+            <p className="text-muted-foreground text-center py-10">
+              Loading history...
+            </p>
+          ) : groups.length > 0 ? (
+            <div className="space-y-4">
+              {groups.map((group) => (
+                <div key={group.label}>
+                  <h3 className="text-xs font-semibold text-muted-foreground uppercase tracking-wider mb-1 px-3">
+                    {group.label}
+                  </h3>
+                  <div className="space-y-1">
+                    {group.entries.map(renderEntry)}
+                  </div>
+                </div>
+              ))}
+            </div>
+          ) : (
+            <div className="flex flex-col items-center text-center py-10 text-muted-foreground">
+              <Clock className="w-8 h-8 mb-2" />
+              <p>
+                {filter === "send"
+                  ? "Sounds you send to friends will show up here."
+                  : "Sounds you play and send will show up here."}
+              </p>
+            </div>
+          )}
+        </div>
+
+        {/* Clear Confirmation Modal */}
+        <AnimatePresence>
+          {isClearModalOpen && (
+            <motion.div
+              initial={{ opacity: 0 }}
+              animate={{ opacity: 1 }}
+              exit={{ opacity: 0 }}
+              className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50"
+              onClick={() => setIsClearModalOpen(false)}
+            >
+              <motion.div
+                initial={{ scale: 0.95, opacity: 0 }}
+                animate={{ scale: 1, opacity: 1 }}
+                exit={{ scale: 0.95, opacity: 0 }}
+                className="bg-white text-black rounded-lg p-6 w-11/12 max-w-md shadow-lg"
+                onClick={(e) => e.stopPropagation()}
+              >
+                <h3 className="text-lg font-bold mb-4">Clear History</h3>
+
+                <p className="mb-4">
+                  Are you sure you want to clear your play and send history on
+                  this device?
+                </p>
+
+                <div className="flex justify-end gap-3 mt-6">
+                  <Button
+                    onClick={() => setIsClearModalOpen(false)}
+                    className="bg-gray-200 hover:bg-gray-300 text-gray-800"
+                  >
+                    Cancel
+                  </Button>
+                  <Button
+                    onClick={confirmClear}
+                    disabled={clearHistoryMutation.isPending}
+                    className="bg-red-500 hover:bg-red-600 text-white"
+                  >
+                    {clearHistoryMutation.isPending ? "Clearing..." : "Clear"}
+                  </Button>
+                </div>
+              </motion.div>
+            </motion.div>
+          )}
+        </AnimatePresence>
+      </div>
+    </div>
+  );
+};
+
+export default History;
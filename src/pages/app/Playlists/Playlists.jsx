@@ -0,0 +1,414 @@
+// src\pages\app\Playlists\Playlists.jsx
+import { useState } from "react";
+import { AnimatePresence, motion } from "framer-motion";
+import {
+  ArrowDown,
+  ArrowUp,
+  ChevronLeft,
+  ListMusic,
+  Pencil,
+  Play,
+  Plus,
+  Trash2,
+  X,
+} from "lucide-react";
+import toast from "react-hot-toast";
+import { Helmet } from "react-helmet-async";
+import Header from "../../../components/common/Header";
+import { Button } from "../../../components/ui/button";
+import { useAuth } from "../../../contexts/AuthContext";
+import {
+  usePlaylists,
+  usePlaylistDetails,
+  useCreatePlaylist,
+  useUpdatePlaylist,
+  useDeletePlaylist,
+} from "../../../hooks/usePlaylists";
+import { useAudioPlayer } from "../../../contexts/AudioPlayerContext";
+
+const Playlists = () => {
+  const { user, signOut } = useAuth();
+  const [selectedPlaylistId, setSelectedPlaylistId] = useState(null);
+  const [newPlaylistName, setNewPlaylistName] = useState("");
+  const [isRenaming, setIsRenaming] = useState(false);
+  const [renameValue, setRenameValue] = useState("");
+  const [isDeleteModalOpen, setIsDeleteModalOpen] = useState(false);
+  const isSubscribed = user?.isSubscribed || false;
+
+  const { data: playlistsData, isLoading: isPlaylistsLoading } =
+    usePlaylists();
+  const { data: playlistData, isLoading: isPlaylistLoading } =
+    usePlaylistDetails(selectedPlaylistId);
+  const createPlaylistMutation = useCreatePlaylist();
+  const updatePlaylistMutation = useUpdatePlaylist();
+  const deletePlaylistMutation = useDeletePlaylist();
+  const { playQueue, currentSound } = useAudioPlayer();
+
+  const playlists = playlistsData?.data || [];
+  const playlist = playlistData?.data;
+  const playlistSounds = (playlist?.sounds || []).filter(
+    (sound) => sound && sound._id
+  );
+
+  const handleCreatePlaylist = (e) => {
+    e.preventDefault();
+    const name = newPlaylistName.trim();
+    if (!name) {
+      toast.error("Playlist name is required");
+      return;
+    }
+
+    createPlaylistMutation.mutate(
+      { name },
+      { onSuccess: () => setNewPlaylistName("") }
+    );
+  };
+
+  const openPlaylist = (playlistId) => {
+    setIsRenaming(false);
+    setSelectedPlaylistId(playlistId);
+  };
+
+  const closePlaylist = () => {
+    setIsRenaming(false);
+    setSelectedPlaylistId(null);
+  };
+
+  const saveSoundOrder = (orderedSounds) => {
+    updatePlaylistMutation.mutate({
+      id: selectedPlaylistId,
+      sounds: orderedSounds.map((sound) => sound._id),
+      orderedSounds,
+    });
+  };
+
+  const moveSound = (index, direction) => {
+    const targetIndex = index + direction;
+    if (targetIndex < 0 || targetIndex >= playlistSounds.length) return;
+
+    const reordered = [...playlistSounds];
+    [reordered[index], reordered[targetIndex]] = [
+      reordered[targetIndex],
+      reordered[index],
+    ];
+    saveSoundOrder(reordered);
+  };
+
+  const removeSound = (soundId) => {
+    saveSoundOrder(playlistSounds.filter((sound) => sound._id !== soundId));
+  };
+
+  const handleRename = (e) => {
+    e.preventDefault();
+    const name = renameValue.trim();
+    if (!name) {
+      toast.error("Playlist name is required");
+      return;
+    }
+
+    updatePlaylistMutation.mutate(
+      { id: selectedPlaylistId, name },
+      { onSuccess: () => setIsRenaming(false) }
+    );
+  };
+
+  const confirmDelete = () => {
+    deletePlaylistMutation.mutate(selectedPlaylistId, {
+      onSuccess: () => {
+        setIsDeleteModalOpen(false);
+        closePlaylist();
+      },
+    });
+  };
+
+  const playFrom = (startIndex = 0) => {
+    // Non-subscribers skip premium sounds; previews are only for single plays
+    const playable = playlistSounds.filter(
+      (sound) => !sound.isPremium || isSubscribed
+    );
+    if (playable.length < playlistSounds.length) {
+      toast.error("Premium sounds in this playlist will be skipped");
+    }
+    if (playable.length === 0) return;
+
+    // A clicked premium sound isn't in the queue: start at the next playable
+    // one after it, or from the top when there's none
+    const nextPlayable = playlistSounds
+      .slice(startIndex)
+      .find((sound) => playable.includes(sound));
+    const playableIndex = Math.max(0, playable.indexOf(nextPlayable));
+    playQueue(
+      playable.map((sound) => ({
+        id: sound._id,
+        name: sound.title,
+        description: sound.description,
+        category: sound.category,
+        isPremium: sound.isPremium,
+        link: sound.link,
+      })),
+      playableIndex
+    );
+  };
+
+  const renderPlaylistList = () => (
+    <>
+      <form onSubmit={handleCreatePlaylist} className="flex gap-2 mb-4">
+        <input
+          type="text"
+          placeholder="New playlist name"
+          value={newPlaylistName}
+          onChange={(e) => setNewPlaylistName(e.target.value)}
+          className="flex-1 p-3 bg-gray-100 text-black rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+        <Button
+          type="submit"
+          disabled={createPlaylistMutation.isPending}
+          className="bg-primary hover:bg-blue-600 text-white px-3 py-3.5 rounded-lg h-auto flex items-center gap-2"
+        >
+          <Plus size={18} />
+          <span className="hidden sm:inline">Create</span>
+        </Button>
+      </form>
+
+      {isPlaylistsLoading ? (
+        <p className="text-muted-foreground text-center py-10">
+          Loading playlists...
+        </p>
+      ) : playlists.length > 0 ? (
+        <div className="space-y-2">
+          {playlists.map((item) => (
+            <motion.button
+              key={item._id}
+              whileTap={{ scale: 0.98 }}
+              onClick={() => openPlaylist(item._id)}
+              className="flex items-center w-full p-3 rounded-lg text-left hover:bg-gray-50 hover:text-black transition-colors"
+            >
+              <ListMusic className="w-5 h-5 mr-3 text-primary" />
+              <div className="flex-1">
+                <p className="text-sm font-medium">{item.name}</p>
+                <p className="text-xs text-muted-foreground">
+                  {item.sounds?.length || 0} sounds
+                </p>
+              </div>
+            </motion.button>
+          ))}
+        </div>
+      ) : (
+        <p className="text-muted-foreground text-center py-10">
+          No playlists yet. Create one and add sounds from the library.
+        </p>
+      )}
+    </>
+  );
+
+  const renderPlaylistDetails = () => (
+    <>
+      <div className="flex items-center gap-2 mb-4">
+        <button
+          onClick={closePlaylist}
+          className="p-2 rounded-full hover:bg-background transition-colors"
+        >
+          <ChevronLeft className="w-5 h-5" />
+        </button>
+
+        {isRenaming ? (
+          <form onSubmit={handleRename} className="flex flex-1 gap-2">
+            <input
+              type="text"
+              value={renameValue}
+              onChange={(e) => setRenameValue(e.target.value)}
+              autoFocus
+              className="flex-1 p-2 bg-gray-100 text-black rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+            <Button type="submit" size="sm" className="text-white">
+              Save
+            </Button>
+            <Button
+              type="button"
+              size="sm"
+              variant="ghost"
+              onClick={() => setIsRenaming(false)}
+            >
+              <X size={16} />
+            </Button>
+          </form>
+        ) : (
+          <>
+            <h2 className="flex-1 text-lg font-bold truncate">
+              {playlist?.name}
+            </h2>
+            <Button
+              size="icon"
+              variant="ghost"
+              title="Rename playlist"
+              onClick={() => {
+                setRenameValue(playlist?.name || "");
+                setIsRenaming(true);
+              }}
+            >
+              <Pencil size={16} />
+            </Button>
+            <Button
+              size="icon"
+              variant="ghost"
+              title="Delete playlist"
+              className="text-red-500"
+              onClick={() => setIsDeleteModalOpen(true)}
+              disabled={deletePlaylistMutation.isPending}
+            >
+              <Trash2 size={16} />
+            </Button>
+          </>
+        )}
+      </div>
+
+      <Button
+        onClick={() => playFrom(0)}
+        disabled={playlistSounds.length === 0}
+        className="flex items-center justify-center gap-2 px-6 py-3 w-full bg-primary rounded-full h-auto hover:bg-blue-600 text-white font-medium mb-4"
+      >
+        <Play size={18} />
+        Play All
+      </Button>
+
+      {isPlaylistLoading ? (
+        <p className="text-muted-foreground text-center py-10">
+          Loading sounds...
+        </p>
+      ) : playlistSounds.length > 0 ? (
+        <div className="space-y-2">
+          {playlistSounds.map((sound, index) => {
+            const isCurrent = currentSound?.id === sound._id;
+
+            return (
+              <div
+                key={sound._id}
+                className={`flex items-center p-3 rounded-lg ${
+                  isCurrent
+                    ? "border bg-blue-50 text-black border-blue-200"
+                    : ""
+                } hover:bg-gray-50 hover:text-black transition-colors`}
+              >
+                <span className="w-6 text-xs text-muted-foreground">
+                  {index + 1}
+                </span>
+                <div
+                  className="flex-1 cursor-pointer"
+                  onClick={() => playFrom(index)}
+                >
+                  <p className="text-sm font-medium">{sound.title}</p>
+                  <p className="text-xs text-muted-foreground">
+                    {sound.category}
+                    {sound.isPremium && (
+                      <span className="ml-2 text-amber-500 font-medium">
+                        Premium
+                      </span>
+                    )}
+                  </p>
+                </div>
+                <div className="flex items-center gap-1">
+                  <button
+                    onClick={() => moveSound(index, -1)}
+                    disabled={index === 0}
+                    className="p-1.5 rounded-full hover:bg-gray-100 disabled:opacity-30"
+                    title="Move up"
+                  >
+                    <ArrowUp size={14} />
+                  </button>
+                  <button
+                    onClick={() => moveSound(index, 1)}
+                    disabled={index === playlistSounds.length - 1}
+                    className="p-1.5 rounded-full hover:bg-gray-100 disabled:opacity-30"
+                    title="Move down"
+                  >
+                    <ArrowDown size={14} />
+                  </button>
+                  <button
+                    onClick={() => removeSound(sound._id)}
+                    className="p-1.5 rounded-full hover:bg-gray-100 text-red-500"
+                    title="Remove from playlist"
+                  >
+                    <X size={14} />
+                  </button>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      ) : (
+        <p className="text-muted-foreground text-center py-10">
+          This playlist is empty. Add sounds from the Sound Library.
+        </p>
+      )}
+    </>
+  );
+
+  return (
+    <div className="bg-background flex flex-row justify-center w-full min-h-screen">
+      <div className="bg-card w-full max-w-md relative shadow-md flex flex-col">
+        <Helmet>
+          <title>Playlists | Poop Alert</title>
+          <meta name="robots" content="noindex, nofollow" />
+        </Helmet>
+
+        <Header
+          backHref="/sound-library"
+          title="Playlists"
+          onLogoutClick={signOut}
+        />
+
+        <div className="flex-1 p-4 pb-24">
+          {selectedPlaylistId ? renderPlaylistDetails() : renderPlaylistList()}
+        </div>
+
+        {/* Delete Confirmation Modal */}
+        <AnimatePresence>
+          {isDeleteModalOpen && playlist && (
+            <motion.div
+              initial={{ opacity: 0 }}
+              animate={{ opacity: 1 }}
+              exit={{ opacity: 0 }}
+              className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50"
+              onClick={() => setIsDeleteModalOpen(false)}
+            >
+              <motion.div
+                initial={{ scale: 0.95, opacity: 0 }}
+                animate={{ scale: 1, opacity: 1 }}
+                exit={{ scale: 0.95, opacity: 0 }}
+                className="bg-white text-black rounded-lg p-6 w-11/12 max-w-md shadow-lg"
+                onClick={(e) => e.stopPropagation()}
+              >
+                <h3 className="text-lg font-bold mb-4">Delete Playlist</h3>
+
+                <p className="mb-4">
+                  Are you sure you want to delete "{playlist.name}"? The sounds
+                  stay in the library.
+                </p>
+
+                <div className="flex justify-end gap-3 mt-6">
+                  <Button
+                    onClick={() => setIsDeleteModalOpen(false)}
+                    className="bg-gray-200 hover:bg-gray-300 text-gray-800"
+                  >
+                    Cancel
+                  </Button>
+                  <Button
+                    onClick={confirmDelete}
+                    disabled={deletePlaylistMutation.isPending}
+                    className="bg-red-500 hover:bg-red-600 text-white"
+                  >
+                    {deletePlaylistMutation.isPending
+                      ? "Deleting..."
+                      : "Delete"}
+                  </Button>
+                </div>
+              </motion.div>
+            </motion.div>
+          )}
+        </AnimatePresence>
+      </div>
+    </div>
+  );
+};
+
+export default Playlists;
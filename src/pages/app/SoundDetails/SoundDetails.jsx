@@ -0,0 +1,369 @@
+// src\pages\app\SoundDetails\SoundDetails.jsx
+import { useEffect, useState } from "react";
+import { Link, useNavigate, useParams } from "react-router-dom";
+import { motion } from "framer-motion";
+import { Crown, Download, Music, Pencil, Send, Share2 } from "lucide-react";
+import toast from "react-hot-toast";
+import { Helmet } from "react-helmet-async";
+import Header from "../../../components/common/Header";
+import { Button } from "../../../components/ui/button";
+import Waveform from "../../../components/AudioPlayer/Waveform";
+import ShareModal from "../../../components/ShareModal";
+import SoundModal from "../../../components/Sounds/SoundModal";
+import { useAuth } from "../../../contexts/AuthContext";
+import { useSelectedSound } from "../../../contexts/SelectedSoundContext";
+import {
+  getSoundUrl,
+  useAudioPlayer,
+} from "../../../contexts/AudioPlayerContext";
+import { useSoundDetails, useSounds } from "../../../hooks/useSound";
+import { useNativeShare } from "../../../hooks/useNativeShare";
+import { PREMIUM_PREVIEW, ROUTES } from "../../../config/constants";
+import { useWaveform } from "../../../hooks/useWaveform";
+import {
+  getCachedMetadata,
+  loadSoundMetadata,
+} from "../../../utils/sound-metadata";
+import { downloadSoundFile } from "../../../utils/sound-download";
+import { useRecordSoundHistory } from "../../../hooks/useSoundHistory";
+
+const RELATED_SOUNDS_LIMIT = 6;
+
+// Shape used by the audio player and the rest of the sound UI
+const toPlayerSound = (sound) => ({
+  id: sound._id,
+  name: sound.title,
+  description: sound.description,
+  category: sound.category,
+  isPremium: sound.isPremium,
+  link: sound.link,
+});
+
+const formatDuration = (seconds) => {
+  const minutes = Math.floor(seconds / 60);
+  const remainingSeconds = Math.floor(seconds % 60);
+  return `${minutes.toString().padStart(2, "0")}:${remainingSeconds
+    .toString()
+    .padStart(2, "0")}`;
+};
+
+// The decoded rate is the device's playback rate, not the file's own
+const formatSampleRate = (sampleRate) => `${sampleRate / 1000} kHz playback`;
+
+const formatChannels = (channels) =>
+  channels === 1 ? "Mono" : channels === 2 ? "Stereo" : `${channels} channels`;
+
+const SoundDetails = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const { user, signOut } = useAuth();
+  const { setSelectedSound } = useSelectedSound();
+  const { canShare } = useNativeShare();
+  const {
+    playSound,
+    stop: stopAudio,
+    seek,
+    isSoundPlaying,
+    currentSound,
+    currentTime,
+    duration: playingDuration,
+  } = useAudioPlayer();
+  const { recordPlay } = useRecordSoundHistory(user?._id);
+  const [duration, setDuration] = useState(null);
+  const [isShareModalOpen, setIsShareModalOpen] = useState(false);
+  const [shareData, setShareData] = useState(null);
+  const [isEditModalOpen, setIsEditModalOpen] = useState(false);
+  const API_URL = import.meta.env.VITE_BASE_URL || "";
+  const isSubscribed = user?.isSubscribed || false;
+  const isAdmin = user?.role === "ADMIN";
+
+  const { data: soundData, isLoading, isError } = useSoundDetails(id);
+  const sound = soundData?.data ? toPlayerSound(soundData.data) : null;
+
+  const { data: relatedData } = useSounds(
+    { category: sound?.category, limit: RELATED_SOUNDS_LIMIT + 1 },
+    { enabled: !!sound?.category }
+  );
+  const relatedSounds = (relatedData?.data || [])
+    .filter((related) => related._id !== id)
+    .slice(0, RELATED_SOUNDS_LIMIT);
+
+  useEffect(() => {
+    if (!sound) return;
+
+    let cancelled = false;
+    setDuration(null);
+    loadSoundMetadata(sound.id, getSoundUrl(sound)).then((metadata) => {
+      if (!cancelled && metadata.duration) setDuration(metadata.duration);
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [sound?.id, sound?.link]);
+
+  // Sample rate and channels are recorded when the waveform is decoded
+  const { data: peaks } = useWaveform(sound?.id, sound && getSoundUrl(sound));
+  const format =
+    peaks && sound ? getCachedMetadata(sound.id, getSoundUrl(sound)) : null;
+
+  const isCurrent = !!sound && currentSound?.id === sound.id;
+
+  const togglePlay = () => {
+    if (isSoundPlaying(sound.id)) {
+      stopAudio();
+      return;
+    }
+
+    // Non-subscribers get a short preview of premium sounds
+    const isPreview = sound.isPremium && !isSubscribed;
+    if (isPreview) {
+      toast(`Playing a ${PREMIUM_PREVIEW.DURATION_SECONDS}s preview`);
+    }
+    playSound(sound, { preview: isPreview });
+    recordPlay(sound);
+  };
+
+  // Friends page sends the selected sound to whichever friend is picked
+  const sendToFriend = () => {
+    setSelectedSound({
+      link: `${API_URL}${sound.link}`,
+      soundTitle: sound.name,
+      // Lets the friends page record the send in the user's history
+      sound,
+    });
+    navigate(ROUTES.ALL_FRIENDS);
+  };
+
+  const shareSound = async () => {
+    const sharePayload = {
+      title: sound.name,
+      text: sound.description || sound.name,
+      url: window.location.href,
+    };
+
+    if (canShare) {
+      try {
+        await navigator.share(sharePayload);
+      } catch (error) {
+        if (error.name !== "AbortError") {
+          console.error("Native share failed:", error);
+          setShareData(sharePayload);
+          setIsShareModalOpen(true);
+        }
+      }
+    } else {
+      setShareData(sharePayload);
+      setIsShareModalOpen(true);
+    }
+  };
+
+  const downloadSound = async () => {
+    if (!isSubscribed) {
+      toast.error("Please upgrade to premium to download sounds!");
+      return;
+    }
+
+    try {
+      await downloadSoundFile(getSoundUrl(sound), `${sound.name}.mp3`);
+      toast.success(`"${sound.name}" downloaded successfully!`);
+    } catch (error) {
+      console.error("Download error:", error);
+      toast.error("Failed to download sound. Please try again.");
+    }
+  };
+
+  const renderDetails = () => (
+    <>
+      <div className="flex items-start gap-3 mb-4">
+        <div className="w-12 h-12 rounded-lg bg-blue-50 flex items-center justify-center flex-shrink-0">
+          <Music className="w-6 h-6 text-primary" />
+        </div>
+        <div className="flex-1 min-w-0">
+          <div className="flex items-start justify-between gap-2">
+            <h1 className="text-lg font-semibold break-words">{sound.name}</h1>
+            {isAdmin && (
+              <button
+                onClick={() => setIsEditModalOpen(true)}
+                className="rounded-full w-8 h-8 flex items-center justify-center text-gray-500 hover:bg-gray-100 transition-colors flex-shrink-0"
+                title="Edit Sound"
+              >
+                <Pencil size={16} />
+              </button>
+            )}
+          </div>
+          <div className="flex flex-wrap items-center gap-2 mt-1 text-xs">
+            {sound.category && (
+              <Link
+                to={`${ROUTES.SOUND_LIBRARY}?category=${encodeURIComponent(
+                  sound.category
+                )}`}
+                className="px-2 py-0.5 rounded-full bg-gray-100 text-gray-700 hover:bg-gray-200"
+              >
+                {sound.category}
+              </Link>
+            )}
+            {sound.isPremium && (
+              <span className="flex items-center gap-1 px-2 py-0.5 rounded-full bg-amber-100 text-amber-600 font-medium">
+                <Crown size={12} />
+                Premium
+              </span>
+            )}
+            <span className="text-muted-foreground">
+              {duration ? formatDuration(duration) : "--:--"}
+            </span>
+            {format?.sampleRate && (
+              <span className="text-muted-foreground">
+                {formatSampleRate(format.sampleRate)}
+                {format.channels && ` · ${formatChannels(format.channels)}`}
+              </span>
+            )}
+          </div>
+        </div>
+      </div>
+
+      {sound.description && (
+        <p className="text-sm text-muted-foreground mb-4">
+          {sound.description}
+        </p>
+      )}
+
+      <div className="h-16 mb-4">
+        <Waveform
+          soundId={sound.id}
+          url={getSoundUrl(sound)}
+          isActive={isCurrent}
+          progress={
+            isCurrent && playingDuration ? currentTime / playingDuration : 0
+          }
+          onSeek={
+            isCurrent
+              ? (fraction) => seek(fraction * playingDuration)
+              : undefined
+          }
+          className="w-full h-full"
+        />
+      </div>
+
+      <div className="space-y-2 mb-6">
+        <Button
+          onClick={togglePlay}
+          className={`w-full rounded-full h-auto py-3 text-white font-medium ${
+            isSoundPlaying(sound.id)
+              ? "bg-red-500 hover:bg-red-600"
+              : "bg-primary hover:bg-blue-600"
+          }`}
+        >
+          {isSoundPlaying(sound.id) ? "Stop" : "Play"}
+        </Button>
+
+        <div className="grid grid-cols-3 gap-2">
+          <Button
+            onClick={sendToFriend}
+            className="flex items-center justify-center gap-2 rounded-full h-auto py-3 bg-gray-100 text-gray-800 hover:bg-gray-200"
+          >
+            <Send size={16} />
+            Send
+          </Button>
+          <Button
+            onClick={shareSound}
+            className="flex items-center justify-center gap-2 rounded-full h-auto py-3 bg-gray-100 text-gray-800 hover:bg-gray-200"
+          >
+            <Share2 size={16} />
+            Share
+          </Button>
+          <Button
+            onClick={downloadSound}
+            disabled={!isSubscribed}
+            title={
+              isSubscribed ? "Download Sound" : "Downloads are for premium users"
+            }
+            className="flex items-center justify-center gap-2 rounded-full h-auto py-3 bg-green-500 text-white hover:bg-green-600 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            <Download size={16} />
+            Save
+          </Button>
+        </div>
+      </div>
+
+      {relatedSounds.length > 0 && (
+        <div>
+          <h2 className="text-sm font-semibold mb-2">
+            More {sound.category} sounds
+          </h2>
+          <div className="space-y-1">
+            {relatedSounds.map((related) => (
+              <motion.div key={related._id} whileTap={{ scale: 0.98 }}>
+                <Link
+                  to={ROUTES.SOUND_DETAILS.replace(":id", related._id)}
+                  className="flex items-center p-3 rounded-lg hover:bg-gray-50 hover:text-black transition-colors"
+                >
+                  <Music className="w-4 h-4 mr-3 text-primary" />
+                  <span className="flex-1 text-sm font-medium truncate">
+                    {related.title}
+                  </span>
+                  {related.isPremium && (
+                    <span className="ml-2 text-xs text-amber-500 font-medium">
+                      Premium
+                    </span>
+                  )}
+                </Link>
+              </motion.div>
+            ))}
+          </div>
+        </div>
+      )}
+    </>
+  );
+
+  return (
+    <div className="bg-background flex flex-row justify-center w-full min-h-screen">
+      <div className="bg-card w-full max-w-md relative shadow-md flex flex-col">
+        <Helmet>
+          <title>
+            {sound ? `${sound.name} | Poop Alert` : "Sound | Poop Alert"}
+          </title>
+          <meta name="robots" content="noindex, nofollow" />
+        </Helmet>
+
+        <Header
+          backHref={ROUTES.SOUND_LIBRARY}
+          title="Sound Details"
+          onLogoutClick={signOut}
+        />
+
+        <div className="flex-1 p-4 pb-24">
+          {isLoading ? (
+            <p className="text-muted-foreground text-center py-10">
+              Loading sound...
+            </p>
+          ) : isError || !sound ? (
+            <p className="text-muted-foreground text-center py-10">
+              This sound could not be found.
+            </p>
+          ) : (
+            renderDetails()
+          )}
+        </div>
+      </div>
+
+      {isShareModalOpen && (
+        <ShareModal
+          isOpen={isShareModalOpen}
+          onClose={() => setIsShareModalOpen(false)}
+          shareData={shareData}
+        />
+      )}
+
+      {isEditModalOpen && (
+        <SoundModal
+          isOpen={isEditModalOpen}
+          onClose={() => setIsEditModalOpen(false)}
+          sound={sound}
+        />
+      )}
+    </div>
+  );
+};
+
+export default SoundDetails;
@@ -14,7 +14,7 @@ import { ThemeToggle } from "../../../components/common/ThemeToggle";
 
 const SoundLibrary = () => {
   const [sidebarOpen, setSidebarOpen] = useState(false);
-  const [activeView, setActiveView] = useState("sounds"); // "sounds", "friends", "manageUsers"
+  const [activeView, setActiveView] = useState("sounds"); // "sounds", "favorites", "friends", "manageUsers"
   const [title, setTitle] = useState("Poop Alert");
   const [scrolled, setScrolled] = useState(false);
   const queryClient = useQueryClient();
@@ -48,6 +48,9 @@ const SoundLibrary = () => {
       case "sounds":
         setTitle("Poop Alert");
         break;
+      case "favorites":
+        setTitle("My Favorites");
+        break;
       case "friends":
         setTitle("Friends");
         break;
@@ -99,13 +102,15 @@ const SoundLibrary = () => {
   const renderContent = () => {
     switch (activeView) {
       case "sounds":
-        return <SoundList key={`sounds-${Date.now()}`} />;
+        return <SoundList key="sounds" />;
+      case "favorites":
+        return <SoundList key="favorites" favoritesOnly />;
       case "friends":
         return <Friends />;
       case "manageUsers":
         return <ManageUsers />;
       default:
-        return <SoundList key={`sounds-${Date.now()}`} />;
+        return <SoundList key="sounds" />;
     }
   };
 
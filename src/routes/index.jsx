@@ -25,6 +25,11 @@ const EditProfile = lazy(() => import("../pages/app/Profile/EditProfile"));
 const PrivacyPolicy = lazy(() => import("../pages/app/Profile/PrivacyPolicy"));
 const Payment = lazy(() => import("../pages/app/Profile/Payment"));
 const ChatInterface = lazy(() => import("../pages/app/Chat/ChatInterface"));
+const Playlists = lazy(() => import("../pages/app/Playlists/Playlists"));
+const SoundDetails = lazy(() =>
+  import("../pages/app/SoundDetails/SoundDetails")
+);
+const History = lazy(() => import("../pages/app/History/History"));
 const NotFound = lazy(() => import("../pages/errors/NotFound"));
 const AudioPlayerPage = lazy(() =>
   import("../pages/app/AudioPlayer/AudioPlayerPage")
@@ -63,6 +68,9 @@ const AppRoutes = () => {
               <Route path="/edit-profile" element={<EditProfile />} />
               <Route path="/payment" element={<Payment />} />
               <Route path="/chat-interface" element={<ChatInterface />} />
+              <Route path="/playlists" element={<Playlists />} />
+              <Route path="/sounds/:id" element={<SoundDetails />} />
+              <Route path="/history" element={<History />} />
               <Route
                 path="/admin/privacy-policies"
                 element={<AdminPrivacyManager />}
@@ -0,0 +1,279 @@
+// src/utils/audio-edit.js
+import { decodeAudio, getAudioContext } from "../lib/audio-context";
+
+/**
+ * Decode a picked/dropped audio File into an AudioBuffer
+ */
+export const decodeAudioFile = async (file) =>
+  decodeAudio(await file.arrayBuffer());
+
+/**
+ * Copy of the buffer between two times (in seconds)
+ */
+export const sliceAudioBuffer = (audioBuffer, startTime, endTime) => {
+  const { numberOfChannels, sampleRate } = audioBuffer;
+  const startSample = Math.max(0, Math.floor(startTime * sampleRate));
+  const endSample = Math.min(
+    audioBuffer.length,
+    Math.ceil(endTime * sampleRate)
+  );
+  const length = Math.max(1, endSample - startSample);
+
+  const sliced = getAudioContext().createBuffer(
+    numberOfChannels,
+    length,
+    sampleRate
+  );
+  for (let channel = 0; channel < numberOfChannels; channel++) {
+    sliced.copyToChannel(
+      audioBuffer.getChannelData(channel).subarray(startSample, endSample),
+      channel
+    );
+  }
+  return sliced;
+};
+
+/**
+ * Start/end times (in seconds) of the audible part, skipping leading and
+ * trailing samples quieter than `threshold`
+ */
+export const findSilenceBounds = (audioBuffer, threshold = 0.01) => {
+  const channels = Array.from({ length: audioBuffer.numberOfChannels }, (_, i) =>
+    audioBuffer.getChannelData(i)
+  );
+  const isAudible = (index) =>
+    channels.some((data) => Math.abs(data[index]) > threshold);
+
+  let start = 0;
+  while (start < audioBuffer.length && !isAudible(start)) start++;
+
+  let end = audioBuffer.length - 1;
+  while (end > start && !isAudible(end)) end--;
+
+  // Entirely silent: keep everything rather than trimming to nothing
+  if (start >= audioBuffer.length) {
+    return { start: 0, end: audioBuffer.duration };
+  }
+
+  return {
+    start: start / audioBuffer.sampleRate,
+    end: (end + 1) / audioBuffer.sampleRate,
+  };
+};
+
+/**
+ * Encode an AudioBuffer as a 16-bit PCM WAV blob
+ */
+export const encodeWav = (audioBuffer) => {
+  const { numberOfChannels, sampleRate, length } = audioBuffer;
+  const bytesPerSample = 2;
+  const blockAlign = numberOfChannels * bytesPerSample;
+  const dataSize = length * blockAlign;
+  const buffer = new ArrayBuffer(44 + dataSize);
+  const view = new DataView(buffer);
+
+  const writeString = (offset, value) => {
+    for (let i = 0; i < value.length; i++) {
+      view.setUint8(offset + i, value.charCodeAt(i));
+    }
+  };
+
+  writeString(0, "RIFF");
+  view.setUint32(4, 36 + dataSize, true);
+  writeString(8, "WAVE");
+  writeString(12, "fmt ");
+  view.setUint32(16, 16, true); // fmt chunk size
+  view.setUint16(20, 1, true); // PCM
+  view.setUint16(22, numberOfChannels, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * blockAlign, true);
+  view.setUint16(32, blockAlign, true);
+  view.setUint16(34, bytesPerSample * 8, true);
+  writeString(36, "data");
+  view.setUint32(40, dataSize, true);
+
+  const channels = Array.from({ length: numberOfChannels }, (_, i) =>
+    audioBuffer.getChannelData(i)
+  );
+  let offset = 44;
+  for (let i = 0; i < length; i++) {
+    for (const data of channels) {
+      const sample = Math.max(-1, Math.min(1, data[i]));
+      view.setInt16(
+        offset,
+        sample < 0 ? sample * 0x8000 : sample * 0x7fff,
+        true
+      );
+      offset += bytesPerSample;
+    }
+  }
+
+  return new Blob([buffer], { type: "audio/wav" });
+};
+
+/**
+ * Wrap an edited buffer as a .wav File named after the original
+ */
+export const audioBufferToFile = (audioBuffer, originalName) => {
+  const baseName = originalName.replace(/\.[^/.]+$/, "");
+  return new File([encodeWav(audioBuffer)], `${baseName}.wav`, {
+    type: "audio/wav",
+  });
+};
+
+const toDb = (value) => (value > 0 ? 20 * Math.log10(value) : -Infinity);
+
+/**
+ * Biquad coefficients (RBJ cookbook), normalized so a0 = 1
+ */
+const getBiquad = (type, frequency, gainDb, q, sampleRate) => {
+  const w0 = (2 * Math.PI * frequency) / sampleRate;
+  const cos = Math.cos(w0);
+  const alpha = Math.sin(w0) / (2 * q);
+  let b;
+  let a;
+
+  if (type === "highshelf") {
+    const A = Math.pow(10, gainDb / 40);
+    const sqrtAlpha = 2 * Math.sqrt(A) * alpha;
+    b = [
+      A * (A + 1 + (A - 1) * cos + sqrtAlpha),
+      -2 * A * (A - 1 + (A + 1) * cos),
+      A * (A + 1 + (A - 1) * cos - sqrtAlpha),
+    ];
+    a = [
+      A + 1 - (A - 1) * cos + sqrtAlpha,
+      2 * (A - 1 - (A + 1) * cos),
+      A + 1 - (A - 1) * cos - sqrtAlpha,
+    ];
+  } else {
+    b = [(1 + cos) / 2, -(1 + cos), (1 + cos) / 2];
+    a = [1 + alpha, -2 * cos, 1 - alpha];
+  }
+
+  return { b: b.map((value) => value / a[0]), a: a.map((value) => value / a[0]) };
+};
+
+const applyBiquad = (data, { b, a }) => {
+  const output = new Float32Array(data.length);
+  let x1 = 0;
+  let x2 = 0;
+  let y1 = 0;
+  let y2 = 0;
+
+  for (let i = 0; i < data.length; i++) {
+    const x = data[i];
+    const y = b[0] * x + b[1] * x1 + b[2] * x2 - a[1] * y1 - a[2] * y2;
+    output[i] = y;
+    x2 = x1;
+    x1 = x;
+    y2 = y1;
+    y1 = y;
+  }
+  return output;
+};
+
+/**
+ * Integrated loudness following ITU-R BS.1770: K-weighting, 400ms blocks
+ * with 75% overlap, then absolute (-70 LUFS) and relative (-10 LU) gating.
+ * All channels are weighted equally, so surround mixes are approximate.
+ */
+const measureLufs = (audioBuffer) => {
+  const { sampleRate, numberOfChannels } = audioBuffer;
+  const shelf = getBiquad("highshelf", 1500, 4, 1 / Math.SQRT2, sampleRate);
+  const highPass = getBiquad("highpass", 38, 0, 0.5, sampleRate);
+
+  const weighted = Array.from({ length: numberOfChannels }, (_, i) =>
+    applyBiquad(applyBiquad(audioBuffer.getChannelData(i), shelf), highPass)
+  );
+
+  const blockSize = Math.round(sampleRate * 0.4);
+  const step = Math.round(blockSize / 4);
+  const blockPowers = [];
+
+  for (let start = 0; start + blockSize <= audioBuffer.length; start += step) {
+    let power = 0;
+    weighted.forEach((data) => {
+      let sum = 0;
+      for (let i = start; i < start + blockSize; i++) sum += data[i] * data[i];
+      power += sum / blockSize;
+    });
+    blockPowers.push(power);
+  }
+
+  // Sounds shorter than one block are measured as a single block
+  if (blockPowers.length === 0) {
+    let power = 0;
+    weighted.forEach((data) => {
+      let sum = 0;
+      for (let i = 0; i < data.length; i++) sum += data[i] * data[i];
+      power += sum / Math.max(1, data.length);
+    });
+    blockPowers.push(power);
+  }
+
+  const toLufs = (power) => -0.691 + 10 * Math.log10(power);
+  const mean = (powers) =>
+    powers.reduce((total, power) => total + power, 0) / powers.length;
+
+  const aboveAbsolute = blockPowers.filter((power) => toLufs(power) > -70);
+  if (aboveAbsolute.length === 0) return -Infinity;
+
+  const relativeGate = toLufs(mean(aboveAbsolute)) - 10;
+  const gated = aboveAbsolute.filter((power) => toLufs(power) > relativeGate);
+  return toLufs(mean(gated));
+};
+
+/**
+ * Peak and RMS level (dBFS) plus an integrated loudness estimate (LUFS)
+ */
+export const analyseLoudness = (audioBuffer) => {
+  let peak = 0;
+  let sumSquares = 0;
+
+  for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+    const data = audioBuffer.getChannelData(channel);
+    for (let i = 0; i < data.length; i++) {
+      const value = Math.abs(data[i]);
+      if (value > peak) peak = value;
+      sumSquares += data[i] * data[i];
+    }
+  }
+
+  const sampleCount = audioBuffer.length * audioBuffer.numberOfChannels;
+  return {
+    peakDb: toDb(peak),
+    rmsDb: toDb(Math.sqrt(sumSquares / Math.max(1, sampleCount))),
+    lufs: measureLufs(audioBuffer),
+  };
+};
+
+/**
+ * Gain (dB) that brings the sound to the target loudness without letting
+ * its peak pass the ceiling
+ */
+export const getNormalizationGain = (analysis, targetLufs, peakCeilingDb) => {
+  if (!isFinite(analysis.lufs) || !isFinite(analysis.peakDb)) return 0;
+  return Math.min(targetLufs - analysis.lufs, peakCeilingDb - analysis.peakDb);
+};
+
+/**
+ * Copy of the buffer with a gain (dB) applied to every sample
+ */
+export const applyGain = (audioBuffer, gainDb) => {
+  const factor = Math.pow(10, gainDb / 20);
+  const { numberOfChannels, length, sampleRate } = audioBuffer;
+  const output = getAudioContext().createBuffer(
+    numberOfChannels,
+    length,
+    sampleRate
+  );
+
+  for (let channel = 0; channel < numberOfChannels; channel++) {
+    const input = audioBuffer.getChannelData(channel);
+    const data = new Float32Array(length);
+    for (let i = 0; i < length; i++) data[i] = input[i] * factor;
+    output.copyToChannel(data, channel);
+  }
+  return output;
+};
@@ -0,0 +1,137 @@
+// src/utils/fuzzy-search.js
+
+// Fields searched on a formatted sound, and how much a hit in each counts
+const SEARCH_FIELDS = [
+  { key: "name", weight: 3 },
+  { key: "category", weight: 2 },
+  { key: "description", weight: 1 },
+];
+
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+const tokenize = (term) => term.toLowerCase().split(/\s+/).filter(Boolean);
+
+// Short tokens must match exactly, longer ones may contain typos
+const allowedTypos = (token) => {
+  if (token.length <= 3) return 0;
+  if (token.length <= 6) return 1;
+  return 2;
+};
+
+/**
+ * Edit distance between two strings (insert, delete, substitute)
+ */
+const levenshtein = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + cost
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+/**
+ * Best match of one query token in a field, as { score, range } or null
+ */
+const matchToken = (token, text) => {
+  const lowerText = text.toLowerCase();
+
+  const index = lowerText.indexOf(token);
+  if (index !== -1) {
+    const atWordStart = index === 0 || !/[\p{L}\p{N}]/u.test(lowerText[index - 1]);
+    return { score: atWordStart ? 1.2 : 1, range: [index, index + token.length] };
+  }
+
+  const maxTypos = allowedTypos(token);
+  if (maxTypos === 0) return null;
+
+  let best = null;
+  for (const word of lowerText.matchAll(WORD_PATTERN)) {
+    // Compare against the whole word and its prefix, so "scrm" finds "scream"
+    // and "screm" finds "screaming" while the user is still typing
+    const prefix = word[0].slice(0, token.length);
+    const distance = Math.min(
+      levenshtein(token, word[0]),
+      levenshtein(token, prefix)
+    );
+
+    if (distance <= maxTypos && (!best || distance < best.distance)) {
+      best = {
+        distance,
+        score: 0.8 - 0.2 * distance,
+        range: [word.index, word.index + word[0].length],
+      };
+    }
+  }
+
+  return best && { score: best.score, range: best.range };
+};
+
+/**
+ * Sort and merge overlapping [start, end] ranges
+ */
+const mergeRanges = (ranges) =>
+  [...ranges]
+    .sort((a, b) => a[0] - b[0])
+    .reduce((merged, range) => {
+      const last = merged[merged.length - 1];
+      if (last && range[0] <= last[1]) {
+        last[1] = Math.max(last[1], range[1]);
+      } else {
+        merged.push([...range]);
+      }
+      return merged;
+    }, []);
+
+/**
+ * Filter and rank sounds against a search term. Every token has to match
+ * somewhere; each result gets `matches` with the ranges to highlight per field.
+ */
+export const searchSounds = (sounds, term) => {
+  const tokens = tokenize(term || "");
+  if (tokens.length === 0) return sounds;
+
+  const results = [];
+
+  sounds.forEach((sound) => {
+    const matches = {};
+    let totalScore = 0;
+
+    const allTokensMatch = tokens.every((token) => {
+      let bestScore = 0;
+
+      SEARCH_FIELDS.forEach(({ key, weight }) => {
+        const match = sound[key] ? matchToken(token, String(sound[key])) : null;
+        if (!match) return;
+
+        matches[key] = [...(matches[key] || []), match.range];
+        bestScore = Math.max(bestScore, match.score * weight);
+      });
+
+      totalScore += bestScore;
+      return bestScore > 0;
+    });
+
+    if (allTokensMatch) {
+      Object.keys(matches).forEach((key) => {
+        matches[key] = mergeRanges(matches[key]);
+      });
+      results.push({ sound: { ...sound, matches }, score: totalScore });
+    }
+  });
+
+  // Array.prototype.sort is stable, so equal scores keep the list order
+  return results
+    .sort((a, b) => b.score - a.score)
+    .map((result) => result.sound);
+};
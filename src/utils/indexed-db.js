@@ -0,0 +1,136 @@
+// src/utils/indexed-db.js
+const DB_NAME = "sound-explores";
+const DB_VERSION = 5;
+
+// Object stores used by the app, created on upgrade
+export const IDB_STORES = {
+  WAVEFORMS: "waveforms",
+  SOUND_METADATA: "sound-metadata",
+  SOUND_HASHES: "sound-hashes",
+  SOUND_HISTORY: "sound-history",
+  OFFLINE_SOUNDS: "offline-sounds",
+};
+
+let dbPromise = null;
+
+/**
+ * Open (and create/upgrade) the app database once per session
+ */
+const openDatabase = () => {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") {
+      reject(new Error("IndexedDB is not supported"));
+      return;
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      Object.values(IDB_STORES).forEach((storeName) => {
+        if (!db.objectStoreNames.contains(storeName)) {
+          db.createObjectStore(storeName);
+        }
+      });
+    };
+
+    // Another tab still has an older version open. Fail instead of leaving
+    // every call hanging; the next call tries again.
+    let isBlocked = false;
+    request.onblocked = () => {
+      isBlocked = true;
+      dbPromise = null;
+      reject(new Error("Database upgrade blocked by another open tab"));
+    };
+
+    request.onsuccess = () => {
+      const db = request.result;
+      if (isBlocked) {
+        db.close();
+        return;
+      }
+
+      // Step aside when another tab upgrades the database, and reopen on the
+      // next call
+      db.onversionchange = () => {
+        db.close();
+        dbPromise = null;
+      };
+      db.onclose = () => {
+        dbPromise = null;
+      };
+      resolve(db);
+    };
+    request.onerror = () => {
+      dbPromise = null;
+      reject(request.error);
+    };
+  });
+
+  return dbPromise;
+};
+
+/**
+ * Run a single request against an object store
+ */
+const runRequest = async (storeName, mode, createRequest) => {
+  const db = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = createRequest(transaction.objectStore(storeName));
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+};
+
+/**
+ * Get a value by key, or undefined when missing
+ */
+export const idbGet = (storeName, key) =>
+  runRequest(storeName, "readonly", (store) => store.get(key));
+
+/**
+ * Store a value under the given key
+ */
+export const idbSet = (storeName, key, value) =>
+  runRequest(storeName, "readwrite", (store) => store.put(value, key));
+
+/**
+ * Delete the value stored under the given key
+ */
+export const idbDelete = (storeName, key) =>
+  runRequest(storeName, "readwrite", (store) => store.delete(key));
+
+/**
+ * Get every key in a store
+ */
+export const idbGetAllKeys = (storeName) =>
+  runRequest(storeName, "readonly", (store) => store.getAllKeys());
+
+/**
+ * Get every [key, value] pair in a store. Keys and values are read in one
+ * transaction so a write in between can't pair them up wrongly.
+ */
+export const idbGetAllEntries = async (storeName) => {
+  const db = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, "readonly");
+    const store = transaction.objectStore(storeName);
+    const keysRequest = store.getAllKeys();
+    const valuesRequest = store.getAll();
+
+    transaction.oncomplete = () =>
+      resolve(
+        keysRequest.result.map((key, index) => [
+          key,
+          valuesRequest.result[index],
+        ])
+      );
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
@@ -0,0 +1,76 @@
+// src/utils/offline-sounds.js
+import { IDB_STORES, idbDelete, idbGetAllEntries, idbSet } from "./indexed-db";
+
+// Must match OFFLINE_SOUNDS_CACHE in public/sw.js, which serves these files
+// when the network is down
+export const OFFLINE_SOUNDS_CACHE = "sound-explores-offline-sounds";
+
+const getSoundUrl = (sound) =>
+  `${import.meta.env.VITE_ASSETS_URL}${sound.link}`;
+
+export const isOfflineCacheSupported = () =>
+  typeof window !== "undefined" && "caches" in window;
+
+/**
+ * Sounds saved for offline, newest first. The audio bytes live in Cache
+ * Storage; IndexedDB keeps what's needed to list them without the API.
+ */
+export const loadOfflineSounds = async () => {
+  const entries = await idbGetAllEntries(IDB_STORES.OFFLINE_SOUNDS);
+  return entries
+    .map(([, sound]) => sound)
+    .sort((a, b) => b.savedAt - a.savedAt);
+};
+
+export const saveSoundForOffline = async (sound) => {
+  if (!isOfflineCacheSupported()) {
+    throw new Error("Offline storage is not supported in this browser");
+  }
+
+  const url = getSoundUrl(sound);
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to download sound (${response.status})`);
+  }
+
+  const cache = await caches.open(OFFLINE_SOUNDS_CACHE);
+  await cache.put(url, response);
+
+  const saved = {
+    id: sound.id,
+    name: sound.name,
+    description: sound.description,
+    category: sound.category,
+    isPremium: !!sound.isPremium,
+    link: sound.link,
+    savedAt: Date.now(),
+  };
+  await idbSet(IDB_STORES.OFFLINE_SOUNDS, sound.id, saved);
+  return saved;
+};
+
+export const removeOfflineSound = async (sound) => {
+  if (isOfflineCacheSupported()) {
+    const cache = await caches.open(OFFLINE_SOUNDS_CACHE);
+    await cache.delete(getSoundUrl(sound));
+  }
+  await idbDelete(IDB_STORES.OFFLINE_SOUNDS, sound.id);
+};
+
+/**
+ * Object URL for the cached copy of a sound file, or null when it isn't
+ * saved. Used when no service worker is controlling the page yet; the
+ * caller must revoke the URL.
+ */
+export const getOfflineSoundObjectUrl = async (url) => {
+  if (!isOfflineCacheSupported()) return null;
+
+  try {
+    const cache = await caches.open(OFFLINE_SOUNDS_CACHE);
+    const response = await cache.match(url);
+    return response ? URL.createObjectURL(await response.blob()) : null;
+  } catch (error) {
+    console.error("Offline sound lookup error:", error);
+    return null;
+  }
+};
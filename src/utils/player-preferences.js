@@ -0,0 +1,112 @@
+// src/utils/player-preferences.js
+import { STORAGE_KEYS } from "../config/constants";
+
+const DEFAULT_PREFERENCES = {
+  volume: 1,
+  isMuted: false,
+  playbackRate: 1,
+};
+
+// Only sounds at least this long get a resume position
+export const RESUME_MIN_DURATION = 60;
+// Positions this close to either end aren't worth resuming from
+const RESUME_EDGE_SECONDS = 5;
+const MAX_SAVED_POSITIONS = 50;
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+export const loadPlayerPreferences = () => {
+  try {
+    const stored = JSON.parse(
+      localStorage.getItem(STORAGE_KEYS.PLAYER_PREFERENCES)
+    );
+    if (!stored) return DEFAULT_PREFERENCES;
+
+    return {
+      volume: Number.isFinite(stored.volume)
+        ? clamp(stored.volume, 0, 1)
+        : DEFAULT_PREFERENCES.volume,
+      isMuted: stored.isMuted === true,
+      playbackRate: Number.isFinite(stored.playbackRate)
+        ? clamp(stored.playbackRate, 0.5, 2)
+        : DEFAULT_PREFERENCES.playbackRate,
+    };
+  } catch (error) {
+    return DEFAULT_PREFERENCES;
+  }
+};
+
+export const savePlayerPreferences = (preferences) => {
+  try {
+    localStorage.setItem(
+      STORAGE_KEYS.PLAYER_PREFERENCES,
+      JSON.stringify(preferences)
+    );
+  } catch (error) {
+    console.error("Failed to save player preferences:", error);
+  }
+};
+
+const loadPositions = () => {
+  try {
+    const stored = JSON.parse(
+      localStorage.getItem(STORAGE_KEYS.PLAYBACK_POSITIONS)
+    );
+    return stored && typeof stored === "object" ? stored : {};
+  } catch (error) {
+    return {};
+  }
+};
+
+const savePositions = (positions) => {
+  try {
+    localStorage.setItem(
+      STORAGE_KEYS.PLAYBACK_POSITIONS,
+      JSON.stringify(positions)
+    );
+  } catch (error) {
+    console.error("Failed to save playback position:", error);
+  }
+};
+
+/**
+ * Where the user left off in a sound, in seconds, or null
+ */
+export const loadResumePosition = (soundUrl) => {
+  const saved = loadPositions()[soundUrl];
+  return Number.isFinite(saved?.time) ? saved.time : null;
+};
+
+/**
+ * Remember the position in a longer sound. Positions near the start are
+ * ignored; finishing the sound forgets it.
+ */
+export const saveResumePosition = (soundUrl, time, duration) => {
+  if (!soundUrl || !Number.isFinite(duration)) return;
+  if (duration < RESUME_MIN_DURATION || time < RESUME_EDGE_SECONDS) return;
+
+  if (time > duration - RESUME_EDGE_SECONDS) {
+    clearResumePosition(soundUrl);
+    return;
+  }
+
+  const positions = loadPositions();
+  positions[soundUrl] = { time, updatedAt: Date.now() };
+
+  // Drop the longest-untouched sounds once there are too many
+  const urls = Object.keys(positions);
+  if (urls.length > MAX_SAVED_POSITIONS) {
+    urls
+      .sort((a, b) => positions[b].updatedAt - positions[a].updatedAt)
+      .slice(MAX_SAVED_POSITIONS)
+      .forEach((url) => delete positions[url]);
+  }
+  savePositions(positions);
+};
+
+export const clearResumePosition = (soundUrl) => {
+  const positions = loadPositions();
+  if (!(soundUrl in positions)) return;
+  delete positions[soundUrl];
+  savePositions(positions);
+};
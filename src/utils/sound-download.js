@@ -0,0 +1,22 @@
+// src/utils/sound-download.js
+
+/**
+ * Fetch a sound file and save it through a temporary download link
+ */
+export const downloadSoundFile = async (url, fileName) => {
+  const response = await fetch(url);
+
+  if (!response.ok) {
+    throw new Error("Download failed");
+  }
+
+  const blob = await response.blob();
+  const objectUrl = window.URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = objectUrl;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  window.URL.revokeObjectURL(objectUrl);
+};
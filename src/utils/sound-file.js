@@ -0,0 +1,36 @@
+// src/utils/sound-file.js
+
+export const MAX_SOUND_FILE_SIZE = 200 * 1024 * 1024; // 200MB
+
+/**
+ * Why a file can't be uploaded as a sound, or null when it can
+ */
+export const getSoundFileError = (file) => {
+  if (!file.type.startsWith("audio/")) {
+    return "Please select an audio file";
+  }
+  if (file.size > MAX_SOUND_FILE_SIZE) {
+    return "File size should be less than 200MB";
+  }
+  return null;
+};
+
+/**
+ * Turn "dog_bark-01.mp3" into "Dog bark 01"
+ */
+export const getTitleFromFileName = (fileName) => {
+  const baseName = fileName
+    .replace(/\.[^/.]+$/, "")
+    .replace(/[_-]+/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+  return baseName.charAt(0).toUpperCase() + baseName.slice(1);
+};
+
+/**
+ * Human readable file size
+ */
+export const formatFileSize = (bytes) => {
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
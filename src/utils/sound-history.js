@@ -0,0 +1,112 @@
+// src/utils/sound-history.js
+import apiClient from "../lib/api-client";
+import { generateId } from "../lib/utils";
+import { IDB_STORES, idbGet, idbSet, idbDelete } from "./indexed-db";
+
+const HISTORY_LIMIT = 200;
+const HISTORY_SYNC_ENDPOINT = "/history/sync";
+
+// Cleared the first time the backend answers that there's no history endpoint
+let isSyncAvailable = true;
+// Read-modify-write of a user's list, so writes must not interleave
+let writeChain = Promise.resolve();
+
+const getStoreKey = (userId) => userId || "guest";
+
+const queueWrite = (task) => {
+  const result = writeChain.then(task);
+  writeChain = result.catch(() => {});
+  return result;
+};
+
+/**
+ * The user's history, newest first
+ */
+export const loadHistory = async (userId) =>
+  (await idbGet(IDB_STORES.SOUND_HISTORY, getStoreKey(userId))) || [];
+
+/**
+ * Add a play or send to the front of the user's history.
+ * Resolves to the updated list.
+ */
+export const addHistoryEntry = (userId, { type, sound, recipients = [] }) =>
+  queueWrite(async () => {
+    const entry = {
+      id: generateId(12),
+      type,
+      sound: {
+        id: sound.id,
+        name: sound.name,
+        category: sound.category,
+        link: sound.link,
+        isPremium: !!sound.isPremium,
+      },
+      recipients,
+      timestamp: Date.now(),
+      synced: false,
+    };
+
+    const entries = [entry, ...(await loadHistory(userId))].slice(
+      0,
+      HISTORY_LIMIT
+    );
+    await idbSet(IDB_STORES.SOUND_HISTORY, getStoreKey(userId), entries);
+    return entries;
+  });
+
+export const clearHistory = (userId) =>
+  queueWrite(() => idbDelete(IDB_STORES.SOUND_HISTORY, getStoreKey(userId)));
+
+/**
+ * Push entries the backend hasn't seen yet. Resolves to the updated list, or
+ * null when there was nothing to sync or no endpoint to sync to.
+ */
+export const syncHistory = async (userId) => {
+  if (!isSyncAvailable || !userId) return null;
+
+  const pending = (await loadHistory(userId)).filter((entry) => !entry.synced);
+  if (pending.length === 0) return null;
+
+  try {
+    await apiClient.post(HISTORY_SYNC_ENDPOINT, {
+      entries: pending.map(({ synced, ...entry }) => entry),
+    });
+  } catch (error) {
+    const status = error.response?.status;
+    if (status === 404 || status === 405 || status === 501) {
+      isSyncAvailable = false;
+      return null;
+    }
+    throw error;
+  }
+
+  const syncedIds = new Set(pending.map((entry) => entry.id));
+  return queueWrite(async () => {
+    // Entries may have been added while the request was in flight
+    const entries = (await loadHistory(userId)).map((entry) =>
+      syncedIds.has(entry.id) ? { ...entry, synced: true } : entry
+    );
+    await idbSet(IDB_STORES.SOUND_HISTORY, getStoreKey(userId), entries);
+    return entries;
+  });
+};
+
+/**
+ * Distinct sounds from the history, most recent first
+ */
+export const getRecentSounds = (entries, limit = 10) => {
+  const seen = new Set();
+  const sounds = [];
+
+  for (const entry of entries) {
+    if (seen.has(entry.sound.id)) continue;
+    seen.add(entry.sound.id);
+    sounds.push({
+      ...entry.sound,
+      lastType: entry.type,
+      lastAt: entry.timestamp,
+    });
+    if (sounds.length === limit) break;
+  }
+  return sounds;
+};
@@ -0,0 +1,161 @@
+// src/utils/sound-metadata.js
+import {
+  IDB_STORES,
+  idbDelete,
+  idbGetAllEntries,
+  idbSet,
+} from "./indexed-db";
+
+const PROBE_TIMEOUT = 5000;
+const KEY_SEPARATOR = "::";
+
+// In-memory mirror of the IndexedDB store so lookups during render are sync
+const memoryCache = new Map();
+const pendingProbes = new Map();
+let loadPromise = null;
+
+const getKey = (soundId, url) => `${soundId}${KEY_SEPARATOR}${url}`;
+
+/**
+ * Load all cached metadata into memory once per session
+ */
+export const loadMetadataCache = () => {
+  if (!loadPromise) {
+    loadPromise = idbGetAllEntries(IDB_STORES.SOUND_METADATA)
+      .then((entries) => {
+        entries.forEach(([key, value]) => memoryCache.set(key, value));
+      })
+      .catch((error) => {
+        console.error("Sound metadata cache read error:", error);
+        // Read again next time instead of keeping an empty cache all session
+        loadPromise = null;
+      });
+  }
+  return loadPromise;
+};
+
+/**
+ * Cached { duration, size, sampleRate, channels } for a sound, if any.
+ * Sample rate and channels come from the waveform decode.
+ */
+export const getCachedMetadata = (soundId, url) =>
+  memoryCache.get(getKey(soundId, url));
+
+/**
+ * Merge new metadata into the cache entry for a sound
+ */
+export const saveSoundMetadata = (soundId, url, metadata) => {
+  const key = getKey(soundId, url);
+  const entry = { ...memoryCache.get(key), ...metadata };
+  memoryCache.set(key, entry);
+
+  idbSet(IDB_STORES.SOUND_METADATA, key, entry).catch((error) =>
+    console.error("Sound metadata cache write error:", error)
+  );
+  return entry;
+};
+
+/**
+ * Drop entries whose sound now points to a different file. When the list
+ * is the complete library, entries for sounds that no longer exist go too.
+ */
+export const invalidateMetadataCache = async (
+  sounds,
+  { complete = false } = {}
+) => {
+  await loadMetadataCache();
+
+  const currentKeys = new Set(sounds.map((sound) => getKey(sound.id, sound.url)));
+  const currentIds = new Set(sounds.map((sound) => String(sound.id)));
+
+  Array.from(memoryCache.keys()).forEach((key) => {
+    if (currentKeys.has(key)) return;
+
+    const soundId = key.split(KEY_SEPARATOR)[0];
+    if (currentIds.has(soundId) || complete) {
+      memoryCache.delete(key);
+      idbDelete(IDB_STORES.SOUND_METADATA, key).catch((error) =>
+        console.error("Sound metadata cache delete error:", error)
+      );
+    }
+  });
+};
+
+/**
+ * Read the duration from the file headers with a throwaway Audio element
+ */
+const probeDuration = (url) =>
+  new Promise((resolve) => {
+    const audio = new Audio();
+
+    const cleanup = () => {
+      clearTimeout(timeoutId);
+      audio.removeEventListener("loadedmetadata", onLoaded);
+      audio.removeEventListener("error", onError);
+      audio.src = "";
+    };
+
+    const timeoutId = setTimeout(() => {
+      cleanup();
+      resolve(null);
+    }, PROBE_TIMEOUT);
+
+    const onLoaded = () => {
+      const duration = audio.duration;
+      cleanup();
+      resolve(isFinite(duration) ? duration : null);
+    };
+
+    const onError = () => {
+      cleanup();
+      resolve(null);
+    };
+
+    audio.addEventListener("loadedmetadata", onLoaded);
+    audio.addEventListener("error", onError);
+    audio.preload = "metadata";
+    audio.src = url;
+  });
+
+/**
+ * File size from the Content-Length of a HEAD request
+ */
+const probeSize = async (url) => {
+  try {
+    const response = await fetch(url, { method: "HEAD" });
+    const length = response.headers.get("content-length");
+    return length ? Number(length) : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Metadata for a sound, probing the server only when it isn't cached
+ */
+export const loadSoundMetadata = async (soundId, url) => {
+  await loadMetadataCache();
+
+  const cached = getCachedMetadata(soundId, url);
+  if (cached?.duration) return cached;
+
+  // Share one probe between callers asking for the same sound
+  const key = getKey(soundId, url);
+  if (!pendingProbes.has(key)) {
+    const probe = Promise.all([probeDuration(url), probeSize(url)])
+      .then(([duration, size]) =>
+        // Failed probes aren't cached so they're retried next visit
+        duration
+          ? saveSoundMetadata(soundId, url, { duration, size })
+          : { duration: null, size }
+      )
+      .catch((error) => {
+        console.error("Sound metadata probe error:", error);
+        return { duration: null, size: null };
+      })
+      .finally(() => pendingProbes.delete(key));
+    pendingProbes.set(key, probe);
+  }
+
+  return pendingProbes.get(key);
+};
@@ -0,0 +1,86 @@
+// src/utils/sound-sort.js
+import { STORAGE_KEYS } from "../config/constants";
+
+const parseDuration = (duration) => {
+  if (!duration) return 0;
+  const [minutes, seconds] = duration.split(":").map(Number);
+  return (minutes || 0) * 60 + (seconds || 0);
+};
+
+/**
+ * Sort options for the sound list. `serverSort` is passed to the API as the
+ * `sort` param; options without one (or fields the API may not return) are
+ * also sorted client-side over the sounds that are loaded.
+ */
+export const SOUND_SORT_OPTIONS = [
+  {
+    value: "newest",
+    label: "Newest",
+    serverSort: "-createdAt",
+    compare: (a, b) => new Date(b.createdAt || 0) - new Date(a.createdAt || 0),
+  },
+  {
+    value: "title",
+    label: "Title (A–Z)",
+    serverSort: "title",
+    compare: (a, b) =>
+      (a.name || "").localeCompare(b.name || "", undefined, {
+        sensitivity: "base",
+      }),
+  },
+  {
+    value: "duration",
+    label: "Duration",
+    serverSort: null,
+    compare: (a, b) => parseDuration(a.duration) - parseDuration(b.duration),
+  },
+  {
+    value: "mostSent",
+    label: "Most sent",
+    serverSort: null,
+    compare: (a, b) => (b.sendCount || 0) - (a.sendCount || 0),
+  },
+  {
+    value: "premium",
+    label: "Premium first",
+    serverSort: "-isPremium",
+    compare: (a, b) => Number(!!b.isPremium) - Number(!!a.isPremium),
+  },
+];
+
+export const DEFAULT_SOUND_SORT = "newest";
+
+export const getSortOption = (value) =>
+  SOUND_SORT_OPTIONS.find((option) => option.value === value) ||
+  SOUND_SORT_OPTIONS[0];
+
+/**
+ * Return a sorted copy of the list (Array.prototype.sort is stable, so
+ * server order is kept for ties)
+ */
+export const sortSounds = (sounds, value) => {
+  const { compare } = getSortOption(value);
+  return [...sounds].sort(compare);
+};
+
+const getStorageKey = (userId) =>
+  `${STORAGE_KEYS.SOUND_SORT}:${userId || "guest"}`;
+
+export const loadSortPreference = (userId) => {
+  try {
+    const stored = localStorage.getItem(getStorageKey(userId));
+    return stored && SOUND_SORT_OPTIONS.some((o) => o.value === stored)
+      ? stored
+      : DEFAULT_SOUND_SORT;
+  } catch (error) {
+    return DEFAULT_SOUND_SORT;
+  }
+};
+
+export const saveSortPreference = (userId, value) => {
+  try {
+    localStorage.setItem(getStorageKey(userId), value);
+  } catch (error) {
+    console.error("Failed to save sort preference:", error);
+  }
+};
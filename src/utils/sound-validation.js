@@ -0,0 +1,225 @@
+// src/utils/sound-validation.js
+import { AUDIO_PROCESSING } from "../config/constants";
+import { IDB_STORES, idbGet, idbSet } from "./indexed-db";
+import { getCachedMetadata, loadMetadataCache } from "./sound-metadata";
+import { decodeAudioFile } from "./audio-edit";
+import { getSoundFileError } from "./sound-file";
+
+const SILENCE_THRESHOLD = 0.0001;
+
+const getLibrarySoundUrl = (sound) =>
+  `${import.meta.env.VITE_ASSETS_URL}${sound.link}`;
+
+const formatSeconds = (seconds) => {
+  const minutes = Math.floor(seconds / 60);
+  const remaining = Math.floor(seconds % 60);
+  return `${minutes}:${remaining.toString().padStart(2, "0")}`;
+};
+
+/**
+ * Hex SHA-256 of a file's bytes
+ */
+const hashArrayBuffer = async (arrayBuffer) => {
+  const digest = await crypto.subtle.digest("SHA-256", arrayBuffer);
+  return Array.from(new Uint8Array(digest))
+    .map((byte) => byte.toString(16).padStart(2, "0"))
+    .join("");
+};
+
+/**
+ * Hash of a library sound's file, downloaded once and cached in IndexedDB
+ */
+const getLibrarySoundHash = async (sound) => {
+  const url = getLibrarySoundUrl(sound);
+  const cacheKey = `${sound._id}::${url}`;
+
+  try {
+    const cached = await idbGet(IDB_STORES.SOUND_HASHES, cacheKey);
+    if (cached) return cached;
+  } catch (error) {
+    console.error("Sound hash cache read error:", error);
+  }
+
+  const response = await fetch(url);
+  if (!response.ok) return null;
+  const hash = await hashArrayBuffer(await response.arrayBuffer());
+
+  idbSet(IDB_STORES.SOUND_HASHES, cacheKey, hash).catch((error) =>
+    console.error("Sound hash cache write error:", error)
+  );
+  return hash;
+};
+
+/**
+ * Library sound with exactly the same content, if any. Only sizes already
+ * in the metadata cache are compared, so picking a file doesn't probe every
+ * sound on the server; just the sounds whose size matches are hashed.
+ * Resolves to { duplicate, comparedCount }.
+ */
+const findDuplicateSound = async (fileHash, fileSize, librarySounds) => {
+  await loadMetadataCache();
+
+  const sizes = librarySounds.map(
+    (sound) => getCachedMetadata(sound._id, getLibrarySoundUrl(sound))?.size
+  );
+  const candidates = librarySounds.filter(
+    (_, index) => sizes[index] === fileSize
+  );
+  const comparedCount = sizes.filter(Boolean).length;
+
+  for (const sound of candidates) {
+    if ((await getLibrarySoundHash(sound)) === fileHash) {
+      return { duplicate: sound, comparedCount };
+    }
+  }
+  return { duplicate: null, comparedCount };
+};
+
+const hasAudibleSamples = (audioBuffer) => {
+  for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+    const data = audioBuffer.getChannelData(channel);
+    for (let i = 0; i < data.length; i++) {
+      if (Math.abs(data[i]) > SILENCE_THRESHOLD) return true;
+    }
+  }
+  return false;
+};
+
+/**
+ * Inspect an audio file before upload. `librarySounds` are raw sounds from
+ * the API to check for duplicates against. Resolves to a report:
+ * { isValid, duration, checks: [{ label, status: "pass" | "warn" | "fail", message }] }
+ */
+export const inspectSoundFile = async (
+  file,
+  {
+    librarySounds,
+    excludeSoundId = null,
+    maxDuration = AUDIO_PROCESSING.MAX_DURATION_SECONDS,
+  } = {}
+) => {
+  const checks = [];
+  const report = (duration = null) => ({
+    isValid: checks.every((check) => check.status !== "fail"),
+    duration,
+    checks,
+  });
+
+  const fileError = getSoundFileError(file);
+  checks.push({
+    label: "File type and size",
+    status: fileError ? "fail" : "pass",
+    message: fileError || `${file.type}, within the size limit`,
+  });
+  if (fileError) return report();
+
+  let audioBuffer;
+  try {
+    audioBuffer = await decodeAudioFile(file);
+  } catch (error) {
+    checks.push({
+      label: "Playable audio",
+      status: "fail",
+      message: "The file is corrupt or in a format browsers can't play",
+    });
+    return report();
+  }
+
+  if (!audioBuffer.length || !audioBuffer.duration) {
+    checks.push({
+      label: "Playable audio",
+      status: "fail",
+      message: "The file contains no audio (zero length)",
+    });
+    return report(0);
+  }
+
+  const isSilent = !hasAudibleSamples(audioBuffer);
+  // Decoding resamples to the device's rate, so it isn't the file's own
+  checks.push({
+    label: "Playable audio",
+    status: isSilent ? "warn" : "pass",
+    message: isSilent
+      ? "Decoded fine, but the audio is completely silent"
+      : `${audioBuffer.numberOfChannels} channel(s), ${audioBuffer.sampleRate} Hz playback rate`,
+  });
+
+  const duration = audioBuffer.duration;
+  checks.push({
+    label: "Duration",
+    status: duration > maxDuration ? "fail" : "pass",
+    message:
+      duration > maxDuration
+        ? `${formatSeconds(duration)} is longer than the ${formatSeconds(
+            maxDuration
+          )} limit`
+        : formatSeconds(duration),
+  });
+
+  // Web Crypto is only available on secure origins
+  if (!window.crypto?.subtle) {
+    checks.push({
+      label: "Duplicate check",
+      status: "warn",
+      message: "Skipped: content hashing needs a secure (https) connection",
+    });
+    return report(duration);
+  }
+
+  if (!librarySounds) {
+    checks.push({
+      label: "Duplicate check",
+      status: "warn",
+      message: "Skipped: the library list couldn't be loaded",
+    });
+    return report(duration);
+  }
+
+  try {
+    const fileHash = await hashArrayBuffer(await file.arrayBuffer());
+    const otherSounds = librarySounds.filter(
+      (sound) => sound._id !== excludeSoundId
+    );
+    const { duplicate, comparedCount } = await findDuplicateSound(
+      fileHash,
+      file.size,
+      otherSounds
+    );
+    // Sounds never listed on this device have no cached size to compare
+    const isPartial = comparedCount < otherSounds.length;
+    checks.push({
+      label: "Duplicate check",
+      status: duplicate ? "fail" : "pass",
+      message: duplicate
+        ? `Same file as "${duplicate.title}" already in the library`
+        : isPartial
+        ? `No identical sound among ${comparedCount} library sounds with a known size`
+        : "No identical sound in the library",
+    });
+  } catch (error) {
+    console.error("Duplicate check error:", error);
+    checks.push({
+      label: "Duplicate check",
+      status: "warn",
+      message: "Couldn't compare against the library",
+    });
+  }
+
+  return report(duration);
+};
+
+/**
+ * Report for a file whose inspection failed unexpectedly. The upload isn't
+ * blocked, since the problem may be the browser rather than the file.
+ */
+export const getUncheckedReport = () => ({
+  isValid: true,
+  duration: null,
+  checks: [
+    {
+      label: "File checks",
+      status: "warn",
+      message: "The file couldn't be checked",
+    },
+  ],
+});
@@ -0,0 +1,84 @@
+// src/utils/soundboard.js
+import { STORAGE_KEYS } from "../config/constants";
+
+// Number row first, then the letter rows of a QWERTY keyboard
+export const SOUNDBOARD_HOTKEYS = [
+  ..."123456789",
+  ..."qwertyuiop",
+  ..."asdfghjkl",
+  ..."zxcvbnm",
+];
+
+export const SOUND_VIEWS = {
+  LIST: "list",
+  GRID: "grid",
+};
+
+const getStorageKey = (prefix, userId) => `${prefix}:${userId || "guest"}`;
+
+export const loadSoundView = (userId) => {
+  try {
+    const stored = localStorage.getItem(
+      getStorageKey(STORAGE_KEYS.SOUND_VIEW, userId)
+    );
+    return stored === SOUND_VIEWS.GRID ? SOUND_VIEWS.GRID : SOUND_VIEWS.LIST;
+  } catch (error) {
+    return SOUND_VIEWS.LIST;
+  }
+};
+
+export const saveSoundView = (userId, view) => {
+  try {
+    localStorage.setItem(getStorageKey(STORAGE_KEYS.SOUND_VIEW, userId), view);
+  } catch (error) {
+    console.error("Failed to save sound view:", error);
+  }
+};
+
+/**
+ * Sound ids in the order the user arranged their tiles
+ */
+export const loadSoundboardLayout = (userId) => {
+  try {
+    const stored = JSON.parse(
+      localStorage.getItem(
+        getStorageKey(STORAGE_KEYS.SOUNDBOARD_LAYOUT, userId)
+      )
+    );
+    return Array.isArray(stored) ? stored : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+export const saveSoundboardLayout = (userId, soundIds) => {
+  try {
+    localStorage.setItem(
+      getStorageKey(STORAGE_KEYS.SOUNDBOARD_LAYOUT, userId),
+      JSON.stringify(soundIds)
+    );
+  } catch (error) {
+    console.error("Failed to save soundboard layout:", error);
+  }
+};
+
+/**
+ * Order sounds by the saved layout. Sounds the layout doesn't know yet keep
+ * their current relative order after the arranged ones.
+ */
+export const arrangeSounds = (sounds, layout) => {
+  const positions = new Map(layout.map((id, index) => [id, index]));
+  const arranged = sounds.filter((sound) => positions.has(sound.id));
+  const rest = sounds.filter((sound) => !positions.has(sound.id));
+  arranged.sort((a, b) => positions.get(a.id) - positions.get(b.id));
+  return [...arranged, ...rest];
+};
+
+/**
+ * New saved layout after the visible tiles were reordered. Ids that aren't
+ * visible right now (filtered out, not loaded yet) keep their place at the end.
+ */
+export const mergeSoundboardLayout = (visibleIds, layout) => {
+  const visible = new Set(visibleIds);
+  return [...visibleIds, ...layout.filter((id) => !visible.has(id))];
+};
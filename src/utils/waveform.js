@@ -0,0 +1,96 @@
+// src/utils/waveform.js
+import { fetchAudioBuffer } from "../lib/audio-context";
+import { IDB_STORES, idbGet, idbSet } from "./indexed-db";
+import { saveSoundMetadata } from "./sound-metadata";
+
+export const WAVEFORM_BAR_COUNT = 67;
+
+// Decoding whole files is expensive, so only a couple run at once
+const MAX_CONCURRENT_DECODES = 2;
+let activeDecodes = 0;
+const pendingDecodes = [];
+
+const withDecodeSlot = (task) =>
+  new Promise((resolve, reject) => {
+    const run = async () => {
+      activeDecodes++;
+      try {
+        resolve(await task());
+      } catch (error) {
+        reject(error);
+      } finally {
+        activeDecodes--;
+        if (pendingDecodes.length > 0) pendingDecodes.shift()();
+      }
+    };
+
+    if (activeDecodes < MAX_CONCURRENT_DECODES) {
+      run();
+    } else {
+      pendingDecodes.push(run);
+    }
+  });
+
+/**
+ * Reduce an AudioBuffer to `barCount` peak values between 0 and 1
+ */
+export const computePeaks = (audioBuffer, barCount = WAVEFORM_BAR_COUNT) => {
+  const channels = Array.from({ length: audioBuffer.numberOfChannels }, (_, i) =>
+    audioBuffer.getChannelData(i)
+  );
+  const samplesPerBar = Math.max(1, Math.floor(audioBuffer.length / barCount));
+  const peaks = new Array(barCount).fill(0);
+
+  for (let bar = 0; bar < barCount; bar++) {
+    const start = bar * samplesPerBar;
+    const end = Math.min(start + samplesPerBar, audioBuffer.length);
+    let peak = 0;
+
+    for (const data of channels) {
+      for (let i = start; i < end; i++) {
+        const value = Math.abs(data[i]);
+        if (value > peak) peak = value;
+      }
+    }
+    peaks[bar] = peak;
+  }
+
+  const maxPeak = Math.max(...peaks);
+  return maxPeak > 0 ? peaks.map((peak) => peak / maxPeak) : peaks;
+};
+
+/**
+ * Get the peaks for a sound, from IndexedDB when already computed
+ */
+export const getWaveformPeaks = async (
+  soundId,
+  url,
+  barCount = WAVEFORM_BAR_COUNT
+) => {
+  // Keyed by file too, so replacing a sound's file recomputes its peaks
+  const cacheKey = `${soundId}:${url}:${barCount}`;
+
+  try {
+    const cached = await idbGet(IDB_STORES.WAVEFORMS, cacheKey);
+    if (cached) return cached;
+  } catch (error) {
+    console.error("Waveform cache read error:", error);
+  }
+
+  const peaks = await withDecodeSlot(async () => {
+    const audioBuffer = await fetchAudioBuffer(url);
+    // The decoded buffer also gives us exact metadata for free
+    saveSoundMetadata(soundId, url, {
+      duration: audioBuffer.duration,
+      sampleRate: audioBuffer.sampleRate,
+      channels: audioBuffer.numberOfChannels,
+    });
+    return computePeaks(audioBuffer, barCount);
+  });
+
+  idbSet(IDB_STORES.WAVEFORMS, cacheKey, peaks).catch((error) =>
+    console.error("Waveform cache write error:", error)
+  );
+
+  return peaks;
+};